@@ -5,13 +5,28 @@ import User from '../models/User.model.js';
 import Movie from '../models/Movie.model.js';
 import { generateBookingQR } from '../utils/qrcode.js';
 import { sendBookingConfirmation } from '../utils/email.js';
+import seatHoldService from '../services/seatHoldService.js';
+import pricingService from '../services/pricingService.js';
+import promotionService from '../services/promotionService.js';
+import seatMapService from '../services/seatMapService.js';
+import seatRuleService from '../services/seatRuleService.js';
+import groupBookingService from '../services/groupBookingService.js';
+import refundService from '../services/refundService.js';
+import bookingService from '../services/bookingService.js';
+import exchangeService from '../services/exchangeService.js';
+import checkInService from '../services/checkInService.js';
+import ticketPrintService from '../services/ticketPrintService.js';
+import posSessionService from '../services/posSessionService.js';
+import waitlistService from '../services/waitlistService.js';
+import { withTransaction } from '../utils/transaction.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
 
 // @desc    Create booking
 // @route   POST /api/bookings
 // @access  Private
 export const createBooking = async (req, res, next) => {
   try {
-    const { showtimeId, seats, combos, paymentMethod, promotionCode, customerPhone, customerName } = req.body;
+    const { showtimeId, seats, holdId, combos, paymentMethod, promotionCode, customerPhone, customerName } = req.body;
 
     // Get showtime
     const showtime = await Showtime.findById(showtimeId)
@@ -25,6 +40,13 @@ export const createBooking = async (req, res, next) => {
       });
     }
 
+    if (!showtime.isActive || showtime.status === 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Showtime is not open for booking'
+      });
+    }
+
     // Get staff user để check quyền
     const staffUser = await User.findById(req.user.id);
     
@@ -46,10 +68,21 @@ export const createBooking = async (req, res, next) => {
       }
     }
 
-    // Check seat availability
-    const requestedSeats = seats.map(s => `${s.row}${s.number}`);
-    const bookedSeatIds = showtime.bookedSeats.map(s => `${s.row}${s.number}`);
-    const unavailableSeats = requestedSeats.filter(s => bookedSeatIds.includes(s));
+    // Seats come from the hold when checking out a held selection
+    let selectedSeats = seats;
+    if (holdId) {
+      const heldSeats = seatHoldService.getActiveHold(showtime, holdId, req.user.id);
+      if (!heldSeats) {
+        return res.status(410).json({
+          success: false,
+          message: 'Seat hold has expired or does not exist'
+        });
+      }
+      selectedSeats = heldSeats.map(({ row, number, type }) => ({ row, number, type }));
+    }
+
+    // Check seat availability (booked seats and other customers' holds)
+    const unavailableSeats = seatHoldService.getUnavailableSeats(showtime, selectedSeats, { excludeHoldId: holdId });
 
     if (unavailableSeats.length > 0) {
       return res.status(400).json({
@@ -59,31 +92,40 @@ export const createBooking = async (req, res, next) => {
       });
     }
 
-    // Calculate total amount
-    let totalAmount = 0;
-    const seatDetails = seats.map(seat => {
-      const price = showtime.price[seat.type];
-      totalAmount += price;
-      return { ...seat, price };
-    });
-
-    // Add combos
-    if (combos && combos.length > 0) {
-      combos.forEach(combo => {
-        totalAmount += combo.price * combo.quantity;
+    // Seats under maintenance, blocked or missing from the layout are never sold
+    const unsellableSeats = seatMapService.getUnsellableSeats(showtime, showtime.cinemaId, selectedSeats);
+    if (unsellableSeats.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some seats cannot be sold',
+        unsellableSeats
       });
     }
 
-    // Apply promotion if any
-    let discount = 0;
-    if (promotionCode) {
-      // TODO: Apply promotion logic
-    }
+    // No single orphan seats, couple seats in pairs (per-cinema toggles)
+    seatRuleService.validate(showtime, showtime.cinemaId, selectedSeats);
+
+    // Calculate total amount from server-side prices
+    const quote = await pricingService.quote(showtime, showtime.cinemaId, selectedSeats, combos);
+    const totalAmount = quote.totalAmount;
+    const seatDetails = quote.seats.map(({ row, number, type, price }) => ({ row, number, type, price }));
 
     // Xử lý khách hàng
     let customer = null;
     let isWalkInCustomer = false;
     const isCounterBooking = staffUser.role === 'staff' || staffUser.role === 'admin';
+
+    // Counter sales go into the drawer of the staff member's open shift.
+    // Admins don't need one, but their sale goes into it if it is open here
+    let posSession = null;
+    if (staffUser.role === 'staff') {
+      posSession = await posSessionService.requireOpenSession(staffUser, showtime.cinemaId._id);
+    } else if (isCounterBooking) {
+      const openSession = await posSessionService.getOpenSession(staffUser._id);
+      if (openSession && openSession.cinemaId.toString() === showtime.cinemaId._id.toString()) {
+        posSession = openSession;
+      }
+    }
     
     if (isCounterBooking && customerPhone) {
       // Đặt vé tại quầy - tìm hoặc tạo khách vãng lai
@@ -121,33 +163,44 @@ export const createBooking = async (req, res, next) => {
       });
     }
 
+    // Apply promotion if any
+    let discount = 0;
+    let bonusPoints = 0;
+    let promotion = null;
+    if (promotionCode) {
+      ({ promotion, discount, bonusPoints } = await promotionService.evaluate(promotionCode, {
+        showtime,
+        userId: customer._id,
+        userTier: customer.loyaltyTier,
+        totalAmount,
+        combosTotal: quote.combosTotal
+      }));
+    }
+
     const finalAmount = Math.max(0, totalAmount - discount - (loyaltyPointsUsed * 1000)); // 1 point = 1000 VND
 
     // Generate unique booking code
     const bookingCode = `BK${Date.now()}${Math.floor(Math.random() * 1000)}`;
 
-    // Process combos - validate ObjectId
-    const processedCombos = (combos || []).map(combo => {
-      const comboId = combo.comboId || combo._id;
-      const isValidObjectId = mongoose.Types.ObjectId.isValid(comboId) && String(comboId).length === 24;
-      
-      return {
-        ...(isValidObjectId && { comboId }),
-        name: combo.name,
-        quantity: combo.quantity,
-        price: combo.price
-      };
-    });
+    const processedCombos = quote.combos.map(({ comboId, name, quantity, price }) => ({
+      comboId,
+      name,
+      quantity,
+      price
+    }));
 
     // Prepare discount object
-    const discountData = promotionCode ? {
-      amount: discount || 0,
-      code: promotionCode,
-      type: 'promotion'
+    const discountData = promotion ? {
+      amount: discount,
+      code: promotion.code,
+      type: 'promotion',
+      promotionId: promotion._id
     } : null;
 
     // Create booking
+    const bookingId = new mongoose.Types.ObjectId();
     const bookingData = {
+      _id: bookingId,
       bookingCode,
       showtimeId,
       movieId: showtime.movieId._id,
@@ -157,11 +210,13 @@ export const createBooking = async (req, res, next) => {
       totalAmount,
       discount: discountData,
       loyaltyPointsUsed,
-      loyaltyPointsEarned: isWalkInCustomer ? 0 : Math.floor(finalAmount * 0.01),
+      loyaltyPointsEarned: isWalkInCustomer ? 0 : Math.floor(finalAmount * 0.01) + bonusPoints,
       finalAmount,
       paymentMethod: req.body.paymentMethod || 'cash',
-      paymentStatus: isCounterBooking ? 'paid' : 'pending',
+      paymentStatus: isCounterBooking ? 'completed' : 'pending',
+      status: isCounterBooking ? 'confirmed' : 'pending',
       bookingType: isCounterBooking ? 'counter' : 'online',
+      posSessionId: posSession ? posSession._id : undefined,
       bookedBy: {
         userId: req.user.id,
         role: staffUser.role || 'customer',
@@ -180,58 +235,56 @@ export const createBooking = async (req, res, next) => {
       };
     }
     
-    const booking = await Booking.create(bookingData);
-
-    // Update showtime seats - Dùng MongoDB native driver để bypass Mongoose schema validation
-    const seatsToAdd = seatDetails.map(s => ({
-      row: String(s.row),
-      number: Number(s.number),
-      type: String(s.type),
-      bookingId: booking._id instanceof mongoose.Types.ObjectId ? booking._id : new mongoose.Types.ObjectId(booking._id)
-    }));
-    
-    // Update trực tiếp qua MongoDB native driver, bypass Mongoose validation
-    const db = mongoose.connection.db;
-    await db.collection('showtimes').updateOne(
-      { _id: new mongoose.Types.ObjectId(showtimeId) },
-      {
-        $push: { bookedSeats: { $each: seatsToAdd } },
-        $inc: { availableSeats: -seats.length }
+    // QR only depends on the booking data, so build it before any write
+    bookingData.qrCode = await generateBookingQR(bookingData);
+    await bookingService.issueTickets(bookingData);
+
+    // Seats, booking, promotion usage and loyalty points are written together or not at all
+    const booking = await withTransaction(async (session) => {
+      // Reserve seats atomically so a concurrent checkout cannot take them too
+      const seatsReserved = await seatHoldService.bookSeats(showtimeId, seatDetails, bookingId, { holdId, session });
+      if (!seatsReserved) {
+        throw new ErrorResponse('Some seats are no longer available, please choose again', 409);
       }
-    );
 
-    // Update customer loyalty points (nếu không phải khách vãng lai)
-    if (!isWalkInCustomer && customer._id) {
-      customer.loyaltyPoints = (customer.loyaltyPoints || 0) - loyaltyPointsUsed + booking.loyaltyPointsEarned;
-      
-      // Update loyalty tier based on points
-      if (customer.loyaltyPoints >= 10000) {
-        customer.loyaltyTier = 'platinum';
-      } else if (customer.loyaltyPoints >= 5000) {
-        customer.loyaltyTier = 'gold';
-      } else if (customer.loyaltyPoints >= 2000) {
-        customer.loyaltyTier = 'silver';
-      } else {
-        customer.loyaltyTier = 'bronze';
+      const [createdBooking] = await Booking.create([bookingData], { session });
+
+      if (promotion) {
+        await promotionService.redeem(promotion, customer._id, createdBooking._id, session);
       }
-      
-      await customer.save();
-    }
 
-    // Generate QR code
-    const qrCode = await generateBookingQR(booking);
-    booking.qrCode = qrCode;
-    await booking.save();
+      // Update customer loyalty points (nếu không phải khách vãng lai)
+      if (!isWalkInCustomer && customer._id) {
+        const updatedCustomer = await User.findOneAndUpdate(
+          { _id: customer._id, loyaltyPoints: { $gte: loyaltyPointsUsed } },
+          { $inc: { loyaltyPoints: createdBooking.loyaltyPointsEarned - loyaltyPointsUsed } },
+          { new: true, session }
+        );
+        if (!updatedCustomer) {
+          throw new ErrorResponse('Insufficient loyalty points', 400);
+        }
+        updatedCustomer.updateLoyaltyTier();
+        await updatedCustomer.save({ session });
+      }
+
+      return createdBooking;
+    });
+
+    // A hold offered from the waitlist has now been claimed
+    if (holdId) {
+      await waitlistService.markClaimed(holdId, booking._id);
+    }
 
     // Send confirmation email
     await sendBookingConfirmation(booking, customer);
 
     // Emit real-time update
+    const updatedShowtime = await Showtime.findById(showtimeId).select('availableSeats bookedSeats');
     const io = req.app.get('io');
     io.to(`showtime-${showtimeId}`).emit('booking-update', {
       showtimeId,
-      availableSeats: showtime.availableSeats,
-      bookedSeats: showtime.bookedSeats
+      availableSeats: updatedShowtime.availableSeats,
+      bookedSeats: updatedShowtime.bookedSeats
     });
 
     res.status(201).json({
@@ -243,6 +296,24 @@ export const createBooking = async (req, res, next) => {
   }
 };
 
+// @desc    Get itemized price quote
+// @route   POST /api/bookings/quote
+// @access  Private
+export const getBookingQuote = async (req, res, next) => {
+  try {
+    const { showtimeId, seats, combos } = req.body;
+
+    const quote = await pricingService.quoteForShowtime(showtimeId, seats, combos);
+
+    res.status(200).json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get my bookings
 // @route   GET /api/bookings/my-bookings
 // @access  Private
@@ -250,7 +321,13 @@ export const getMyBookings = async (req, res, next) => {
   try {
     const { status, page = 1, limit = 10 } = req.query;
 
-    const query = { userId: req.user.id };
+    // Include group bookings the user joined
+    const query = {
+      $or: [
+        { userId: req.user.id },
+        { 'groupBooking.participants.userId': req.user.id }
+      ]
+    };
     if (status) query.status = status;
 
     const bookings = await Booking.find(query)
@@ -294,9 +371,12 @@ export const getBooking = async (req, res, next) => {
       });
     }
 
-    // Check ownership
-    if (booking.userId._id.toString() !== req.user.id && 
-        !['admin', 'staff'].includes(req.user.role)) {
+    // Check ownership (group participants may view the shared booking)
+    const isOwner = booking.userId && booking.userId._id.toString() === req.user.id;
+    const isParticipant = booking.groupBooking && booking.groupBooking.isGroup &&
+      booking.groupBooking.participants.some(p => p.userId && p.userId.toString() === req.user.id);
+
+    if (!isOwner && !isParticipant && !['admin', 'staff'].includes(req.user.role)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this booking'
@@ -327,47 +407,157 @@ export const cancelBooking = async (req, res, next) => {
     }
 
     // Check ownership
-    if (booking.userId.toString() !== req.user.id && 
-        !['admin', 'staff'].includes(req.user.role)) {
+    const isOwner = booking.userId && booking.userId.toString() === req.user.id;
+    if (!isOwner && !['admin', 'staff'].includes(req.user.role)) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to cancel this booking'
       });
     }
 
-    // Check if booking can be cancelled
-    const showtime = await Showtime.findById(booking.showtimeId);
-    const hoursUntilShowtime = (showtime.startTime - Date.now()) / (1000 * 60 * 60);
+    // Customers are held to the policy's cancellation cutoff, staff are not
+    const isStaff = ['admin', 'staff'].includes(req.user.role);
+    const posSession = isStaff ? await posSessionService.getOpenSession(req.user._id) : null;
+    const options = {
+      reason: req.body.reason,
+      processedBy: req.user,
+      enforceCutoff: !isStaff,
+      posSessionId: posSession ? posSession._id : undefined
+    };
 
-    if (hoursUntilShowtime < 2) {
-      return res.status(400).json({
+    // Sending ticketIds cancels only those seats
+    const { booking: cancelledBooking, refund } = req.body.ticketIds
+      ? await refundService.cancelTickets(booking, req.body.ticketIds, options)
+      : await refundService.cancelWithRefund(booking, options);
+
+    // Released seats go to the showtime's waitlist. Not awaited: offers can
+    // send emails, and offerReleasedSeats logs its own failures
+    waitlistService.offerReleasedSeats(booking.showtimeId, req.app.get('io'));
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking cancelled successfully',
+      booking: cancelledBooking,
+      refund
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Preview refund if the booking were cancelled now
+// @route   GET /api/bookings/:id/refund-quote
+// @access  Private
+export const getRefundQuote = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isOwner = booking.userId && booking.userId.toString() === req.user.id;
+    if (!isOwner && !['admin', 'staff'].includes(req.user.role)) {
+      return res.status(403).json({
         success: false,
-        message: 'Cannot cancel booking less than 2 hours before showtime'
+        message: 'Not authorized to access this booking'
       });
     }
 
-    // Release seats
-    showtime.bookedSeats = showtime.bookedSeats.filter(
-      s => s.bookingId.toString() !== booking._id.toString()
-    );
-    showtime.availableSeats += booking.seats.length;
-    await showtime.save();
+    const ticketIds = req.query.ticketIds ? req.query.ticketIds.split(',') : undefined;
+    const quote = await refundService.quote(booking, ticketIds);
 
-    // Refund loyalty points
-    const user = await User.findById(booking.userId);
-    user.loyaltyPoints += booking.loyaltyPointsUsed;
-    user.loyaltyPoints -= booking.loyaltyPointsEarned;
-    await user.save();
+    res.status(200).json({
+      success: true,
+      quote
+    });
+  } catch (error) {
+    next(error);
+  }
+};
 
-    // Update booking status
-    booking.status = 'cancelled';
-    booking.cancellationReason = req.body.reason;
-    await booking.save();
+// @desc    Preview moving a booking to other seats or showtime
+// @route   POST /api/bookings/:id/exchange/quote
+// @access  Private
+export const getExchangeQuote = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isOwner = booking.userId && booking.userId.toString() === req.user.id;
+    if (!isOwner && !['admin', 'staff'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this booking'
+      });
+    }
+
+    const plan = await exchangeService.prepare(booking, req.body, req.user);
 
     res.status(200).json({
       success: true,
-      message: 'Booking cancelled successfully',
-      booking
+      quote: exchangeService.summarize(plan)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Move booking to other seats or another showtime
+// @route   PUT /api/bookings/:id/exchange
+// @access  Private
+export const exchangeBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    const isOwner = booking.userId && booking.userId.toString() === req.user.id;
+    if (!isOwner && !['admin', 'staff'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to change this booking'
+      });
+    }
+
+    const fromShowtimeId = booking.showtimeId.toString();
+    const updatedBooking = await exchangeService.exchange(booking, req.body, req.user);
+
+    // Both showings changed when the booking moved
+    const io = req.app.get('io');
+    const showtimeIds = new Set([fromShowtimeId, updatedBooking.showtimeId.toString()]);
+    for (const showtimeId of showtimeIds) {
+      const showtime = await Showtime.findById(showtimeId).select('availableSeats bookedSeats');
+      io.to(`showtime-${showtimeId}`).emit('booking-update', {
+        showtimeId,
+        availableSeats: showtime.availableSeats,
+        bookedSeats: showtime.bookedSeats
+      });
+    }
+
+    // Seats given up by the exchange go to the old showtime's waitlist,
+    // in the background like after a cancellation
+    waitlistService.offerReleasedSeats(fromShowtimeId, io);
+
+    res.status(200).json({
+      success: true,
+      message: 'Booking changed successfully',
+      booking: updatedBooking,
+      exchange: updatedBooking.exchanges[updatedBooking.exchanges.length - 1]
     });
   } catch (error) {
     next(error);
@@ -395,14 +585,45 @@ export const checkInBooking = async (req, res, next) => {
       });
     }
 
-    booking.status = 'used';
-    booking.checkInTime = Date.now();
-    await booking.save();
+    // Sending ticketIds admits only those seats, e.g. when part of the party arrives
+    const checkedInBooking = await checkInService.checkIn(booking, req.body.ticketIds);
+
+    if (!checkedInBooking) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking is not paid or has no active tickets left'
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: 'Check-in successful',
-      booking
+      booking: checkedInBooking
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Scan ticket QR code and check in
+// @route   POST /api/bookings/scan
+// @access  Private (Staff/Admin)
+export const scanTicket = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please provide the scanned ticket code'
+      });
+    }
+
+    const result = await checkInService.scan(token, req.user);
+
+    res.status(result.accepted ? 200 : 400).json({
+      success: result.accepted,
+      ...result
     });
   } catch (error) {
     next(error);
@@ -463,16 +684,89 @@ export const refundBooking = async (req, res, next) => {
       });
     }
 
-    booking.paymentStatus = 'refunded';
-    booking.refundAmount = req.body.refundAmount || booking.finalAmount;
-    booking.refundTime = Date.now();
-    booking.status = 'cancelled';
-    await booking.save();
+    // A failed refund of an exchange's lower price is sent again first
+    if (exchangeService.hasFailedRefund(booking)) {
+      const updatedBooking = await exchangeService.retryFailedRefunds(booking);
+      const completed = !exchangeService.hasFailedRefund(updatedBooking);
+
+      return res.status(200).json({
+        success: completed,
+        message: completed ? 'Refund completed successfully' : 'Refund failed again',
+        booking: updatedBooking
+      });
+    }
+
+    // Failed provider refunds are retried whatever the booking's status:
+    // cancelling some tickets leaves the booking confirmed
+    if (await refundService.hasFailedRefund(booking._id)) {
+      const refunds = await refundService.retryFailedRefunds(booking._id);
+      const completed = refunds.every(refund => refund.status === 'completed');
+
+      return res.status(200).json({
+        success: completed,
+        message: completed ? 'Refund completed successfully' : 'Refund failed again',
+        booking,
+        refunds
+      });
+    }
+
+    if (['cancelled', 'expired'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking has already been cancelled and has no failed refund'
+      });
+    }
+
+    // Amount comes from the refund policy, staff only skip the customer cutoff
+    // Cash handed back at the counter leaves the staff member's drawer
+    const posSession = await posSessionService.getOpenSession(req.user._id);
+    const options = {
+      reason: req.body.reason,
+      processedBy: req.user,
+      enforceCutoff: false,
+      posSessionId: posSession ? posSession._id : undefined
+    };
+    const { booking: refundedBooking, refund } = req.body.ticketIds
+      ? await refundService.cancelTickets(booking, req.body.ticketIds, options)
+      : await refundService.cancelWithRefund(booking, options);
+
+    // Released seats go to the showtime's waitlist. Not awaited: offers can
+    // send emails, and offerReleasedSeats logs its own failures
+    waitlistService.offerReleasedSeats(booking.showtimeId, req.app.get('io'));
 
     res.status(200).json({
       success: true,
       message: 'Booking refunded successfully',
-      booking
+      booking: refundedBooking,
+      refund
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pay out the cash refunds owed on a booking at the counter
+// @route   PUT /api/bookings/:id/refund/payout
+// @access  Private (Staff/Admin)
+export const payOutCashRefund = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id);
+
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        message: 'Booking not found'
+      });
+    }
+
+    // The open session has to be at the booking's cinema
+    const refunds = await refundService.payOutCashRefunds(booking._id, req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cash refund paid out successfully',
+      amount: refunds.reduce((sum, refund) => sum + refund.amount, 0),
+      refunds
     });
   } catch (error) {
     next(error);
@@ -484,29 +778,102 @@ export const refundBooking = async (req, res, next) => {
 // @access  Private
 export const createGroupBooking = async (req, res, next) => {
   try {
-    const { showtimeId, seats, participants } = req.body;
+    const { showtimeId, seats, holdId, participants, deadline, unclaimedPolicy } = req.body;
 
-    // Create main booking
-    const booking = await createBooking(req, res, next);
+    const booking = await groupBookingService.create(req.user, {
+      showtimeId,
+      seats,
+      holdId,
+      participants,
+      deadline,
+      unclaimedPolicy
+    });
 
-    // Generate share link
-    const shareLink = `${process.env.FRONTEND_URL}/join-booking/${booking._id}`;
-    
-    booking.groupBooking = {
-      isGroup: true,
-      shareLink,
-      participants: participants.map(p => ({
-        userId: p,
-        status: 'pending'
-      }))
-    };
-    
-    await booking.save();
+    const io = req.app.get('io');
+    io.to(`showtime-${showtimeId}`).emit('booking-update', { showtimeId });
 
     res.status(201).json({
       success: true,
       booking,
-      shareLink
+      shareLink: booking.groupBooking.shareLink
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get group booking details for the join page
+// @route   GET /api/bookings/group/:id
+// @access  Private
+export const getGroupBooking = async (req, res, next) => {
+  try {
+    const booking = await Booking.findById(req.params.id)
+      .populate('movieId', 'title poster duration')
+      .populate('cinemaId', 'name location')
+      .populate('showtimeId', 'startTime date')
+      .populate('groupBooking.participants.userId', 'fullName avatar');
+
+    if (!booking || !booking.groupBooking || !booking.groupBooking.isGroup) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group booking not found'
+      });
+    }
+
+    if (!groupBookingService.canAccess(booking, req.user.id, req.query.token)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this group booking'
+      });
+    }
+
+    const claimedSeats = booking.groupBooking.participants
+      .filter(p => ['joined', 'paid'].includes(p.status))
+      .flatMap(p => p.seats.map(s => `${s.row}${s.number}`));
+
+    res.status(200).json({
+      success: true,
+      booking,
+      availableSeats: booking.seats.filter(s => !claimedSeats.includes(`${s.row}${s.number}`))
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Join a group booking and claim seats
+// @route   POST /api/bookings/group/:id/join
+// @access  Private
+export const joinGroupBooking = async (req, res, next) => {
+  try {
+    const { token, seats } = req.body;
+
+    const { booking, participant } = await groupBookingService.join(req.params.id, req.user.id, token, seats);
+
+    res.status(200).json({
+      success: true,
+      message: 'Joined group booking successfully',
+      participant,
+      bookingId: booking._id
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Pay own share of a group booking
+// @route   POST /api/bookings/group/:id/pay
+// @access  Private
+export const payGroupShare = async (req, res, next) => {
+  try {
+    const booking = await groupBookingService.pay(req.params.id, req.user.id, req.body.paymentIntentId);
+
+    res.status(200).json({
+      success: true,
+      message: booking.status === 'confirmed'
+        ? 'Payment received, group booking is fully paid'
+        : 'Payment received',
+      booking
     });
   } catch (error) {
     next(error);
@@ -514,7 +881,7 @@ export const createGroupBooking = async (req, res, next) => {
 };
 
 // @desc    Generate printable ticket PDF with QR code
-// @route   GET /api/bookings/:id/print-ticket
+// @route   GET /api/bookings/:id/print-ticket?format=pdf|escpos|json
 // @access  Private/Staff/Admin
 export const generatePrintableTicket = async (req, res, next) => {
   try {
@@ -531,44 +898,28 @@ export const generatePrintableTicket = async (req, res, next) => {
       });
     }
     
-    // Return ticket data for frontend to generate PDF
-    const showtimeDate = new Date(booking.showtimeId.startTime);
-    
-    const ticketData = {
-      bookingCode: booking.bookingCode,
-      qrCode: booking.qrCode,
-      movie: {
-        title: booking.movieId.title,
-        duration: booking.movieId.duration,
-        ageRating: booking.movieId.ageRating
-      },
-      cinema: {
-        name: booking.cinemaId.name,
-        address: booking.cinemaId.address
-      },
-      showtime: {
-        date: showtimeDate.toLocaleDateString('vi-VN', {
-          weekday: 'long',
-          year: 'numeric',
-          month: 'long',
-          day: 'numeric'
-        }),
-        time: showtimeDate.toLocaleTimeString('vi-VN', {
-          hour: '2-digit',
-          minute: '2-digit'
-        }),
-        screen: booking.showtimeId.screen
-      },
-      seats: booking.seats.map(s => `${s.row}${s.number}`).join(', '),
-      combos: booking.combos || [],
-      totalAmount: booking.totalAmount,
-      customer: {
-        name: booking.userId?.fullName || 'Khách hàng',
-        email: booking.userId?.email || ''
-      },
-      createdAt: new Date(booking.createdAt).toLocaleDateString('vi-VN')
-    };
-    
+    const { format = 'json' } = req.query;
+    if (!ticketPrintService.formats.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `Định dạng không hợp lệ, chọn một trong: ${ticketPrintService.formats.join(', ')}`
+      });
+    }
+
+    const ticketData = ticketPrintService.getTicketData(booking);
+
+    if (format === 'pdf') {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `inline; filename=ticket-${booking.bookingCode}.pdf`);
+      return res.send(ticketPrintService.renderPdf(ticketData));
+    }
+
+    if (format === 'escpos') {
+      res.setHeader('Content-Type', 'application/octet-stream');
+      res.setHeader('Content-Disposition', `attachment; filename=ticket-${booking.bookingCode}.bin`);
+      return res.send(ticketPrintService.renderEscPos(ticketData));
+    }
+
     res.status(200).json({
       success: true,
       data: ticketData
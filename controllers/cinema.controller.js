@@ -1,5 +1,6 @@
 import Cinema from '../models/Cinema.model.js';
 import Showtime from '../models/Showtime.model.js';
+import searchService from '../services/searchService.js';
 
 // @desc    Get all cinemas
 // @route   GET /api/cinemas
@@ -71,6 +72,7 @@ export const getCinema = async (req, res, next) => {
 export const createCinema = async (req, res, next) => {
   try {
     const cinema = await Cinema.create(req.body);
+    searchService.invalidate();
 
     res.status(201).json({
       success: true,
@@ -99,6 +101,7 @@ export const updateCinema = async (req, res, next) => {
       new: true,
       runValidators: true
     });
+    searchService.invalidate();
 
     res.status(200).json({
       success: true,
@@ -125,6 +128,7 @@ export const deleteCinema = async (req, res, next) => {
 
     cinema.isActive = false;
     await cinema.save();
+    searchService.invalidate();
 
     res.status(200).json({
       success: true,
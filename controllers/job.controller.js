@@ -0,0 +1,68 @@
+import jobRunnerService from '../services/jobRunnerService.js';
+
+// @desc    Get scheduled jobs with their last run
+// @route   GET /api/jobs
+// @access  Private/Admin
+export const getJobs = async (req, res, next) => {
+  try {
+    const jobs = await jobRunnerService.list();
+
+    res.status(200).json({
+      success: true,
+      count: jobs.length,
+      jobs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get a job with its last run and transitions
+// @route   GET /api/jobs/:name
+// @access  Private/Admin
+export const getJob = async (req, res, next) => {
+  try {
+    const job = jobRunnerService.getJob(req.params.name);
+    const lastRun = await jobRunnerService.getLastRun(job.name);
+
+    res.status(200).json({
+      success: true,
+      job: jobRunnerService.describe(job, lastRun)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get recent runs of a job
+// @route   GET /api/jobs/:name/runs
+// @access  Private/Admin
+export const getJobRuns = async (req, res, next) => {
+  try {
+    const runs = await jobRunnerService.getRuns(req.params.name, { limit: req.query.limit });
+
+    res.status(200).json({
+      success: true,
+      count: runs.length,
+      runs
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Run a job now
+// @route   POST /api/jobs/:name/run
+// @access  Private/Admin
+export const runJob = async (req, res, next) => {
+  try {
+    const run = await jobRunnerService.run(req.params.name, { trigger: 'manual', user: req.user });
+
+    res.status(200).json({
+      success: run.status === 'succeeded',
+      run
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,43 +1,23 @@
 import Movie from '../models/Movie.model.js';
 import Showtime from '../models/Showtime.model.js';
+import movieCatalogService from '../services/movieCatalogService.js';
+import searchService from '../services/searchService.js';
 
-// @desc    Get all movies with filters
+// @desc    Get all movies with filters, sorting and facet counts
 // @route   GET /api/movies
 // @access  Public
 export const getMovies = async (req, res, next) => {
   try {
-    const { 
-      status, 
-      genre, 
-      language, 
-      ageRating, 
-      page = 1, 
-      limit = 12,
-      sort = '-createdAt'
-    } = req.query;
-
-    const query = { isActive: true };
-
-    if (status) query.status = status;
-    if (genre) query.genres = genre;
-    if (language) query.language = language;
-    if (ageRating) query.ageRating = ageRating;
-
-    const movies = await Movie.find(query)
-      .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
-
-    const count = await Movie.countDocuments(query);
+    const { movies, total, page, limit, facets } = await movieCatalogService.browse(req.query);
 
     res.status(200).json({
       success: true,
       count: movies.length,
-      total: count,
-      totalPages: Math.ceil(count / limit),
+      total,
+      totalPages: Math.ceil(total / limit),
       currentPage: page,
-      movies
+      movies,
+      facets
     });
   } catch (error) {
     next(error);
@@ -88,6 +68,7 @@ export const getMovie = async (req, res, next) => {
 export const createMovie = async (req, res, next) => {
   try {
     const movie = await Movie.create(req.body);
+    searchService.invalidate();
 
     res.status(201).json({
       success: true,
@@ -120,6 +101,7 @@ export const updateMovie = async (req, res, next) => {
     // Update status based on dates
     movie.updateStatus();
     await movie.save();
+    searchService.invalidate();
 
     res.status(200).json({
       success: true,
@@ -147,6 +129,7 @@ export const deleteMovie = async (req, res, next) => {
     // Soft delete
     movie.isActive = false;
     await movie.save();
+    searchService.invalidate();
 
     res.status(200).json({
       success: true,
@@ -201,7 +184,7 @@ export const getComingSoon = async (req, res, next) => {
   }
 };
 
-// @desc    Search movies
+// @desc    Search movies, with the same filters as the catalog
 // @route   GET /api/movies/search
 // @access  Public
 export const searchMovies = async (req, res, next) => {
@@ -215,22 +198,19 @@ export const searchMovies = async (req, res, next) => {
       });
     }
 
-    const movies = await Movie.find(
-      {
-        $text: { $search: q },
-        isActive: true
-      },
-      {
-        score: { $meta: 'textScore' }
-      }
-    )
-      .sort({ score: { $meta: 'textScore' } })
-      .limit(20);
+    const { movies, total, page, limit, facets } = await movieCatalogService.browse({
+      ...req.query,
+      sort: req.query.sort || 'relevance'
+    });
 
     res.status(200).json({
       success: true,
       count: movies.length,
-      movies
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      movies,
+      facets
     });
   } catch (error) {
     next(error);
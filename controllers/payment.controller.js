@@ -1,5 +1,6 @@
 import Stripe from 'stripe';
 import Booking from '../models/Booking.model.js';
+import bookingService from '../services/bookingService.js';
 
 // Only initialize Stripe if API key is provided
 const stripe = process.env.STRIPE_SECRET_KEY ? new Stripe(process.env.STRIPE_SECRET_KEY) : null;
@@ -27,14 +28,23 @@ export const createPaymentIntent = async (req, res, next) => {
                           booking.bookedBy.userId && 
                           booking.bookedBy.userId.toString() === req.user.id;
     const isAdminOrStaff = ['admin', 'staff'].includes(req.user.role);
+    const isGroupParticipant = booking.groupBooking && booking.groupBooking.isGroup &&
+      booking.groupBooking.participants.some(p => p.userId && p.userId.toString() === req.user.id);
 
-    if (!isOwner && !isStaffCreated && !isAdminOrStaff) {
+    if (!isOwner && !isStaffCreated && !isAdminOrStaff && !isGroupParticipant) {
       return res.status(403).json({
         success: false,
         message: 'Not authorized to access this booking'
       });
     }
 
+    if (['expired', 'cancelled'].includes(booking.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Booking has expired or been cancelled, please book again'
+      });
+    }
+
     // Create payment intent with Stripe
     if (!stripe || !process.env.STRIPE_SECRET_KEY) {
       // Mock payment for development/testing
@@ -120,19 +130,16 @@ export const confirmPayment = async (req, res, next) => {
       // Mock payment confirmation for development/testing
       if (process.env.NODE_ENV === 'development' && paymentIntentId.startsWith('pi_mock_')) {
         console.warn('⚠️  Using mock payment confirmation for development.');
-        booking.paymentStatus = 'completed';
-        booking.status = 'confirmed';
-        booking.paymentDetails = {
+        const paidBooking = await bookingService.markPaid(booking._id, {
           transactionId: paymentIntentId,
           paymentTime: new Date(),
           provider: 'mock'
-        };
-        await booking.save();
+        });
 
         return res.status(200).json({
           success: true,
           message: 'Payment confirmed successfully (Mock)',
-          booking
+          booking: paidBooking
         });
       } else {
         return res.status(500).json({
@@ -155,19 +162,16 @@ export const confirmPayment = async (req, res, next) => {
     }
 
     if (paymentIntent.status === 'succeeded') {
-      booking.paymentStatus = 'completed';
-      booking.status = 'confirmed';
-      booking.paymentDetails = {
+      const paidBooking = await bookingService.markPaid(booking._id, {
         transactionId: paymentIntentId,
         paymentTime: new Date(),
         provider: 'stripe'
-      };
-      await booking.save();
+      });
 
       res.status(200).json({
         success: true,
         message: 'Payment confirmed successfully',
-        booking
+        booking: paidBooking
       });
     } else {
       booking.paymentStatus = 'failed';
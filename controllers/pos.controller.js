@@ -0,0 +1,173 @@
+import PosSession from '../models/PosSession.model.js';
+import posSessionService from '../services/posSessionService.js';
+
+// @desc    Open POS session
+// @route   POST /api/pos/sessions
+// @access  Private/Staff/Admin
+export const openSession = async (req, res, next) => {
+  try {
+    const session = await posSessionService.open(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      session
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my open POS session with its running totals
+// @route   GET /api/pos/sessions/current
+// @access  Private/Staff/Admin
+export const getCurrentSession = async (req, res, next) => {
+  try {
+    const session = await posSessionService.getOpenSession(req.user._id);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'You have no open POS session'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      session,
+      summary: await posSessionService.summarize(session)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Close my POS session and reconcile the drawer
+// @route   PUT /api/pos/sessions/current/close
+// @access  Private/Staff/Admin
+export const closeSession = async (req, res, next) => {
+  try {
+    const session = await posSessionService.close(req.user, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: 'POS session closed',
+      session
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Record a food & beverage sale
+// @route   POST /api/pos/sales
+// @access  Private/Staff/Admin
+export const createFnbSale = async (req, res, next) => {
+  try {
+    const sale = await posSessionService.recordFnbSale(req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      sale
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get POS sessions (staff only see their own)
+// @route   GET /api/pos/sessions
+// @access  Private/Staff/Admin
+export const getSessions = async (req, res, next) => {
+  try {
+    const { cinemaId, staffId, status, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (req.user.role === 'admin') {
+      if (cinemaId) query.cinemaId = cinemaId;
+      if (staffId) query.staffId = staffId;
+    } else {
+      query.staffId = req.user._id;
+    }
+    if (status) query.status = status;
+    if (startDate || endDate) {
+      query.openedAt = {};
+      if (startDate) query.openedAt.$gte = new Date(startDate);
+      if (endDate) query.openedAt.$lte = new Date(endDate);
+    }
+
+    const sessions = await PosSession.find(query)
+      .populate('staffId', 'fullName email')
+      .populate('cinemaId', 'name')
+      .sort('-openedAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await PosSession.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: Number(page),
+      sessions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single POS session
+// @route   GET /api/pos/sessions/:id
+// @access  Private/Staff/Admin
+export const getSession = async (req, res, next) => {
+  try {
+    const session = await PosSession.findById(req.params.id)
+      .populate('staffId', 'fullName email')
+      .populate('cinemaId', 'name')
+      .populate('review.reviewedBy', 'fullName');
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'POS session not found'
+      });
+    }
+
+    if (!posSessionService.canAccess(session, req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to access this POS session'
+      });
+    }
+
+    // Open sessions have no reconciliation yet, show the running totals
+    const summary = session.status === 'open'
+      ? await posSessionService.summarize(session)
+      : session.reconciliation;
+
+    res.status(200).json({
+      success: true,
+      session,
+      summary
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Review a closed POS session
+// @route   PUT /api/pos/sessions/:id/review
+// @access  Private/Admin
+export const reviewSession = async (req, res, next) => {
+  try {
+    const session = await posSessionService.review(req.params.id, req.user, req.body.note);
+
+    res.status(200).json({
+      success: true,
+      message: 'POS session reviewed',
+      session
+    });
+  } catch (error) {
+    next(error);
+  }
+};
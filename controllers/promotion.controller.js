@@ -1,5 +1,7 @@
 import Promotion from '../models/Promotion.model.js';
 import Showtime from '../models/Showtime.model.js';
+import promotionService from '../services/promotionService.js';
+import pricingService from '../services/pricingService.js';
 
 // @desc    Get all promotions
 // @route   GET /api/promotions
@@ -132,66 +134,38 @@ export const deletePromotion = async (req, res, next) => {
 // @access  Private
 export const validatePromotionCode = async (req, res, next) => {
   try {
-    const { code, showtimeId, amount } = req.body;
+    const { code, showtimeId, amount, combos = [] } = req.body;
 
-    const promotion = await Promotion.findOne({
-      code: code.toUpperCase(),
-      isActive: true
-    });
-
-    if (!promotion) {
-      return res.status(404).json({
-        success: false,
-        message: 'Invalid promotion code'
-      });
-    }
-
-    if (!promotion.isValid()) {
+    if (!Array.isArray(combos)) {
       return res.status(400).json({
         success: false,
-        message: 'Promotion is no longer valid'
+        message: 'Combos must be a list of { comboId, quantity }'
       });
     }
 
-    // Check minimum purchase amount
-    if (amount < promotion.minPurchaseAmount) {
-      return res.status(400).json({
-        success: false,
-        message: `Minimum purchase amount is ${promotion.minPurchaseAmount}`
-      });
-    }
-
-    // Check if applicable for showtime
-    if (showtimeId && promotion.applicableFor.showtimes.length > 0) {
-      if (!promotion.applicableFor.showtimes.includes(showtimeId)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Promotion not applicable for this showtime'
-        });
-      }
-    }
-
-    // Check user tier
-    const user = await User.findById(req.user.id);
-    if (promotion.applicableFor.userTiers.length > 0) {
-      if (!promotion.applicableFor.userTiers.includes(user.loyaltyTier)) {
-        return res.status(400).json({
+    let showtime = null;
+    if (showtimeId) {
+      showtime = await Showtime.findById(showtimeId);
+      if (!showtime) {
+        return res.status(404).json({
           success: false,
-          message: 'Promotion not available for your membership tier'
+          message: 'Showtime not found'
         });
       }
     }
 
-    // Calculate discount
-    let discount = 0;
-    if (promotion.type === 'percentage') {
-      discount = (amount * promotion.value) / 100;
-      if (promotion.maxDiscountAmount) {
-        discount = Math.min(discount, promotion.maxDiscountAmount);
-      }
-    } else if (promotion.type === 'fixed-amount') {
-      discount = promotion.value;
-    }
+    // Combo promotions discount the combos, priced the same way as on booking
+    const comboItems = await pricingService.quoteCombos(combos);
+    const combosTotal = comboItems.reduce((sum, c) => sum + c.total, 0);
+
+    // Same rules as booking creation
+    const { promotion, discount, bonusPoints } = await promotionService.evaluate(code, {
+      showtime,
+      userId: req.user.id,
+      userTier: req.user.loyaltyTier,
+      totalAmount: amount,
+      combosTotal
+    });
 
     res.status(200).json({
       success: true,
@@ -200,6 +174,7 @@ export const validatePromotionCode = async (req, res, next) => {
         name: promotion.name,
         type: promotion.type,
         discount,
+        bonusPoints,
         finalAmount: amount - discount
       }
     });
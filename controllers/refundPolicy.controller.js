@@ -0,0 +1,124 @@
+import RefundPolicy from '../models/RefundPolicy.model.js';
+
+// @desc    Get refund policies
+// @route   GET /api/refund-policies
+// @access  Private/Admin
+export const getRefundPolicies = async (req, res, next) => {
+  try {
+    const { cinemaId, movieId, isActive } = req.query;
+
+    const query = {};
+    if (cinemaId) query.cinemaId = cinemaId;
+    if (movieId) query.movieId = movieId;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const policies = await RefundPolicy.find(query)
+      .populate('cinemaId', 'name')
+      .populate('movieId', 'title')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: policies.length,
+      policies
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single refund policy
+// @route   GET /api/refund-policies/:id
+// @access  Private/Admin
+export const getRefundPolicy = async (req, res, next) => {
+  try {
+    const policy = await RefundPolicy.findById(req.params.id)
+      .populate('cinemaId', 'name')
+      .populate('movieId', 'title');
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create refund policy
+// @route   POST /api/refund-policies
+// @access  Private/Admin
+export const createRefundPolicy = async (req, res, next) => {
+  try {
+    req.body.createdBy = req.user.id;
+
+    const policy = await RefundPolicy.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update refund policy
+// @route   PUT /api/refund-policies/:id
+// @access  Private/Admin
+export const updateRefundPolicy = async (req, res, next) => {
+  try {
+    const policy = await RefundPolicy.findByIdAndUpdate(req.params.id, req.body, {
+      new: true,
+      runValidators: true
+    });
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund policy not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      policy
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete refund policy
+// @route   DELETE /api/refund-policies/:id
+// @access  Private/Admin
+export const deleteRefundPolicy = async (req, res, next) => {
+  try {
+    const policy = await RefundPolicy.findById(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Refund policy not found'
+      });
+    }
+
+    // Soft delete so past refunds still point to a policy
+    policy.isActive = false;
+    await policy.save();
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund policy deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
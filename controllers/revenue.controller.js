@@ -3,6 +3,23 @@ import Movie from '../models/Movie.model.js';
 import Cinema from '../models/Cinema.model.js';
 import Showtime from '../models/Showtime.model.js';
 
+// Partly refunded bookings keep their completed payment, so refunds are subtracted
+const netRevenue = { $subtract: ['$finalAmount', { $ifNull: ['$refundAmount', 0] }] };
+
+// Cancelled and refunded tickets no longer count as sold
+const soldTickets = {
+  $size: {
+    $filter: {
+      input: '$seats',
+      as: 'seat',
+      cond: { $not: [{ $in: ['$$seat.status', ['cancelled', 'refunded']] }] }
+    }
+  }
+};
+
+const countSoldTickets = (booking) =>
+  booking.seats.filter(s => !['cancelled', 'refunded'].includes(s.status)).length;
+
 // @desc    Get dashboard statistics
 // @route   GET /api/revenue/dashboard
 // @access  Private/Admin
@@ -27,7 +44,7 @@ export const getDashboardStats = async (req, res, next) => {
       {
         $group: {
           _id: null,
-          total: { $sum: '$finalAmount' },
+          total: { $sum: netRevenue },
           count: { $sum: 1 }
         }
       }
@@ -44,7 +61,7 @@ export const getDashboardStats = async (req, res, next) => {
       {
         $group: {
           _id: null,
-          total: { $sum: '$finalAmount' },
+          total: { $sum: netRevenue },
           count: { $sum: 1 }
         }
       }
@@ -61,7 +78,7 @@ export const getDashboardStats = async (req, res, next) => {
       {
         $group: {
           _id: null,
-          total: { $sum: '$finalAmount' }
+          total: { $sum: netRevenue }
         }
       }
     ]);
@@ -86,8 +103,8 @@ export const getDashboardStats = async (req, res, next) => {
       {
         $group: {
           _id: '$movieId',
-          revenue: { $sum: '$finalAmount' },
-          tickets: { $sum: { $size: '$seats' } }
+          revenue: { $sum: netRevenue },
+          tickets: { $sum: soldTickets }
         }
       },
       {
@@ -195,9 +212,9 @@ export const getRevenueByPeriod = async (req, res, next) => {
       {
         $group: {
           _id: groupFormat,
-          revenue: { $sum: '$finalAmount' },
+          revenue: { $sum: netRevenue },
           bookings: { $sum: 1 },
-          tickets: { $sum: { $size: '$seats' } }
+          tickets: { $sum: soldTickets }
         }
       },
       {
@@ -235,9 +252,9 @@ export const getRevenueByMovie = async (req, res, next) => {
       {
         $group: {
           _id: '$movieId',
-          totalRevenue: { $sum: '$finalAmount' },
+          totalRevenue: { $sum: netRevenue },
           totalBookings: { $sum: 1 },
-          totalTickets: { $sum: { $size: '$seats' } }
+          totalTickets: { $sum: soldTickets }
         }
       },
       {
@@ -300,9 +317,9 @@ export const getRevenueByCinema = async (req, res, next) => {
       {
         $group: {
           _id: '$cinemaId',
-          totalRevenue: { $sum: '$finalAmount' },
+          totalRevenue: { $sum: netRevenue },
           totalBookings: { $sum: 1 },
-          totalTickets: { $sum: { $size: '$seats' } }
+          totalTickets: { $sum: soldTickets }
         }
       },
       {
@@ -341,6 +358,68 @@ export const getRevenueByCinema = async (req, res, next) => {
   }
 };
 
+// @desc    Get ticket occupancy and attendance of a showtime
+// @route   GET /api/revenue/showtime/:id
+// @access  Private/Admin
+export const getShowtimeOccupancy = async (req, res, next) => {
+  try {
+    const showtime = await Showtime.findById(req.params.id).populate('movieId', 'title');
+
+    if (!showtime) {
+      return res.status(404).json({
+        success: false,
+        message: 'Showtime not found'
+      });
+    }
+
+    const ticketStats = await Booking.aggregate([
+      {
+        $match: {
+          showtimeId: showtime._id,
+          status: { $in: ['confirmed', 'used', 'cancelled'] }
+        }
+      },
+      { $unwind: '$seats' },
+      {
+        $group: {
+          _id: { $ifNull: ['$seats.status', 'active'] },
+          count: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const byStatus = { active: 0, used: 0, cancelled: 0, refunded: 0 };
+    ticketStats.forEach(stat => { byStatus[stat._id] = stat.count; });
+
+    const revenue = await Booking.aggregate([
+      { $match: { showtimeId: showtime._id, paymentStatus: 'completed' } },
+      { $group: { _id: null, total: { $sum: netRevenue } } }
+    ]);
+
+    const capacity = showtime.room.capacity;
+    const sold = byStatus.active + byStatus.used;
+
+    res.status(200).json({
+      success: true,
+      data: {
+        showtimeId: showtime._id,
+        movie: showtime.movieId?.title,
+        startTime: showtime.startTime,
+        capacity,
+        tickets: byStatus,
+        sold,
+        checkedIn: byStatus.used,
+        noShow: showtime.endTime <= new Date() ? byStatus.active : 0,
+        occupancyRate: capacity > 0 ? Math.round((sold / capacity) * 10000) / 100 : 0,
+        attendanceRate: sold > 0 ? Math.round((byStatus.used / sold) * 10000) / 100 : 0,
+        revenue: revenue[0]?.total || 0
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get booking statistics
 // @route   GET /api/revenue/booking-stats
 // @access  Private/Admin
@@ -377,7 +456,7 @@ export const getBookingStats = async (req, res, next) => {
         $group: {
           _id: '$paymentMethod',
           count: { $sum: 1 },
-          totalAmount: { $sum: '$finalAmount' }
+          totalAmount: { $sum: netRevenue }
         }
       }
     ]);
@@ -393,8 +472,8 @@ export const getBookingStats = async (req, res, next) => {
       {
         $group: {
           _id: null,
-          avgValue: { $avg: '$finalAmount' },
-          avgTickets: { $avg: { $size: '$seats' } }
+          avgValue: { $avg: netRevenue },
+          avgTickets: { $avg: soldTickets }
         }
       }
     ]);
@@ -450,14 +529,14 @@ export const exportReport = async (req, res, next) => {
       .populate('movieId', 'title')
       .populate('cinemaId', 'name')
       .populate('userId', 'fullName email')
-      .select('bookingCode createdAt finalAmount seats paymentMethod status')
+      .select('bookingCode createdAt finalAmount refundAmount seats paymentMethod status')
       .sort('-createdAt');
 
     if (format === 'csv') {
       // Generate CSV
       let csv = 'Booking Code,Date,Movie,Cinema,Customer,Amount,Tickets,Status\n';
       bookings.forEach(booking => {
-        csv += `${booking.bookingCode},${booking.createdAt},${booking.movieId?.title},${booking.cinemaId?.name},${booking.userId?.fullName},${booking.finalAmount},${booking.seats.length},${booking.status}\n`;
+        csv += `${booking.bookingCode},${booking.createdAt},${booking.movieId?.title},${booking.cinemaId?.name},${booking.userId?.fullName},${booking.finalAmount - (booking.refundAmount || 0)},${countSoldTickets(booking)},${booking.status}\n`;
       });
 
       res.setHeader('Content-Type', 'text/csv');
@@ -466,8 +545,8 @@ export const exportReport = async (req, res, next) => {
     }
 
     // Return JSON
-    const totalRevenue = bookings.reduce((sum, b) => sum + b.finalAmount, 0);
-    const totalTickets = bookings.reduce((sum, b) => sum + b.seats.length, 0);
+    const totalRevenue = bookings.reduce((sum, b) => sum + b.finalAmount - (b.refundAmount || 0), 0);
+    const totalTickets = bookings.reduce((sum, b) => sum + countSoldTickets(b), 0);
 
     res.status(200).json({
       success: true,
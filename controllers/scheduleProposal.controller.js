@@ -0,0 +1,110 @@
+import ScheduleProposal from '../models/ScheduleProposal.model.js';
+import scheduleOptimizerService from '../services/scheduleOptimizerService.js';
+
+// @desc    Generate a showtime grid proposal for a cinema and day
+// @route   POST /api/schedule-proposals
+// @access  Private/Admin
+export const createScheduleProposal = async (req, res, next) => {
+  try {
+    const proposal = await scheduleOptimizerService.propose(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      proposal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get schedule proposals
+// @route   GET /api/schedule-proposals
+// @access  Private/Admin
+export const getScheduleProposals = async (req, res, next) => {
+  try {
+    const { cinemaId, status, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (cinemaId) query.cinemaId = cinemaId;
+    if (status) query.status = status;
+
+    const proposals = await ScheduleProposal.find(query)
+      .select('-shows')
+      .populate('cinemaId', 'name')
+      .sort('-createdAt')
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const count = await ScheduleProposal.countDocuments(query);
+
+    res.status(200).json({
+      success: true,
+      count: proposals.length,
+      total: count,
+      totalPages: Math.ceil(count / limit),
+      currentPage: Number(page),
+      proposals
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single schedule proposal
+// @route   GET /api/schedule-proposals/:id
+// @access  Private/Admin
+export const getScheduleProposal = async (req, res, next) => {
+  try {
+    const proposal = await ScheduleProposal.findById(req.params.id).populate('cinemaId', 'name');
+
+    if (!proposal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule proposal not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      proposal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create the proposed showtimes
+// @route   PUT /api/schedule-proposals/:id/commit
+// @access  Private/Admin
+export const commitScheduleProposal = async (req, res, next) => {
+  try {
+    const { proposal, showtimes } = await scheduleOptimizerService.commit(req.params.id, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Schedule committed successfully',
+      count: showtimes.length,
+      proposal,
+      showtimes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Discard a schedule proposal
+// @route   PUT /api/schedule-proposals/:id/discard
+// @access  Private/Admin
+export const discardScheduleProposal = async (req, res, next) => {
+  try {
+    const proposal = await scheduleOptimizerService.discard(req.params.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule proposal discarded',
+      proposal
+    });
+  } catch (error) {
+    next(error);
+  }
+};
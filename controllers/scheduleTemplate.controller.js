@@ -0,0 +1,143 @@
+import ScheduleTemplate from '../models/ScheduleTemplate.model.js';
+import Cinema from '../models/Cinema.model.js';
+
+// Template screens must belong to the template's cinema
+const findScreen = async (cinemaId, screenId) => {
+  const cinema = await Cinema.findById(cinemaId);
+  return cinema ? cinema.screens.id(screenId) : null;
+};
+
+// @desc    Get schedule templates
+// @route   GET /api/schedule-templates
+// @access  Private/Admin
+export const getScheduleTemplates = async (req, res, next) => {
+  try {
+    const { cinemaId, screenId, isActive } = req.query;
+
+    const query = {};
+    if (cinemaId) query.cinemaId = cinemaId;
+    if (screenId) query.screenId = screenId;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const templates = await ScheduleTemplate.find(query)
+      .populate('cinemaId', 'name')
+      .sort('-createdAt');
+
+    res.status(200).json({
+      success: true,
+      count: templates.length,
+      templates
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single schedule template
+// @route   GET /api/schedule-templates/:id
+// @access  Private/Admin
+export const getScheduleTemplate = async (req, res, next) => {
+  try {
+    const template = await ScheduleTemplate.findById(req.params.id).populate('cinemaId', 'name');
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Create schedule template
+// @route   POST /api/schedule-templates
+// @access  Private/Admin
+export const createScheduleTemplate = async (req, res, next) => {
+  try {
+    const screen = await findScreen(req.body.cinemaId, req.body.screenId);
+    if (!screen) {
+      return res.status(404).json({
+        success: false,
+        message: 'Screen not found'
+      });
+    }
+
+    req.body.createdBy = req.user.id;
+
+    const template = await ScheduleTemplate.create(req.body);
+
+    res.status(201).json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update schedule template
+// @route   PUT /api/schedule-templates/:id
+// @access  Private/Admin
+export const updateScheduleTemplate = async (req, res, next) => {
+  try {
+    const template = await ScheduleTemplate.findById(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule template not found'
+      });
+    }
+
+    const screen = await findScreen(
+      req.body.cinemaId || template.cinemaId,
+      req.body.screenId || template.screenId
+    );
+    if (!screen) {
+      return res.status(404).json({
+        success: false,
+        message: 'Screen not found'
+      });
+    }
+
+    template.set(req.body);
+    await template.save();
+
+    res.status(200).json({
+      success: true,
+      template
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Delete schedule template
+// @route   DELETE /api/schedule-templates/:id
+// @access  Private/Admin
+export const deleteScheduleTemplate = async (req, res, next) => {
+  try {
+    const template = await ScheduleTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+      return res.status(404).json({
+        success: false,
+        message: 'Schedule template not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Schedule template deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,146 @@
+import screenLayoutService from '../services/screenLayoutService.js';
+
+// @desc    Get screens of a cinema
+// @route   GET /api/cinemas/:id/screens
+// @access  Public
+export const getScreens = async (req, res, next) => {
+  try {
+    const cinema = await screenLayoutService.findCinema(req.params.id);
+
+    const screens = cinema.screens.map(screen => screenLayoutService.describe(screen));
+
+    res.status(200).json({
+      success: true,
+      count: screens.length,
+      screens
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get single screen with its seat layout
+// @route   GET /api/cinemas/:id/screens/:screenId
+// @access  Public
+export const getScreen = async (req, res, next) => {
+  try {
+    const cinema = await screenLayoutService.findCinema(req.params.id);
+    const screen = screenLayoutService.findScreen(cinema, req.params.screenId);
+
+    res.status(200).json({
+      success: true,
+      screen: screenLayoutService.describe(screen)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Add a screen to a cinema
+// @route   POST /api/cinemas/:id/screens
+// @access  Private/Admin
+export const createScreen = async (req, res, next) => {
+  try {
+    const { screen } = await screenLayoutService.createScreen(req.params.id, req.body);
+
+    res.status(201).json({
+      success: true,
+      screen: screenLayoutService.describe(screen)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Update screen details
+// @route   PUT /api/cinemas/:id/screens/:screenId
+// @access  Private/Admin
+export const updateScreen = async (req, res, next) => {
+  try {
+    const { screen } = await screenLayoutService.updateScreen(req.params.id, req.params.screenId, req.body);
+
+    res.status(200).json({
+      success: true,
+      screen: screenLayoutService.describe(screen)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Deactivate a screen
+// @route   DELETE /api/cinemas/:id/screens/:screenId
+// @access  Private/Admin
+export const deleteScreen = async (req, res, next) => {
+  try {
+    await screenLayoutService.deactivateScreen(req.params.id, req.params.screenId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Screen deactivated successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Replace a screen's seat layout from row strings
+// @route   PUT /api/cinemas/:id/screens/:screenId/layout
+// @access  Private/Admin
+export const updateScreenLayout = async (req, res, next) => {
+  try {
+    const { rows, dryRun = false } = req.body;
+
+    const result = await screenLayoutService.updateLayout(req.params.id, req.params.screenId, { rows, dryRun });
+
+    res.status(200).json({
+      success: true,
+      dryRun,
+      counts: result.counts,
+      rows: result.rows,
+      frozenShowtimes: result.frozenShowtimes,
+      screen: dryRun ? undefined : screenLayoutService.describe(result.screen)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Put seats under maintenance for a date range
+// @route   POST /api/cinemas/:id/screens/:screenId/maintenance
+// @access  Private/Admin
+export const addSeatMaintenance = async (req, res, next) => {
+  try {
+    const { windows, affectedShowtimes } = await screenLayoutService.addMaintenance(
+      req.params.id,
+      req.params.screenId,
+      req.body,
+      req.user
+    );
+
+    res.status(201).json({
+      success: true,
+      maintenance: windows,
+      // Showtimes that already sold some of these seats, for staff to follow up
+      affectedShowtimes
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Remove a seat maintenance window
+// @route   DELETE /api/cinemas/:id/screens/:screenId/maintenance/:maintenanceId
+// @access  Private/Admin
+export const removeSeatMaintenance = async (req, res, next) => {
+  try {
+    await screenLayoutService.removeMaintenance(req.params.id, req.params.screenId, req.params.maintenanceId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Seat maintenance removed'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,41 @@
+import searchService from '../services/searchService.js';
+
+// @desc    Search movies, cinemas and people, with or without Vietnamese diacritics
+// @route   GET /api/search
+// @access  Public
+export const search = async (req, res, next) => {
+  try {
+    const { query, normalizedQuery, movies, cinemas, people } = await searchService.search(req.query);
+
+    res.status(200).json({
+      success: true,
+      query,
+      normalizedQuery,
+      counts: {
+        movies: movies.length,
+        cinemas: cinemas.length,
+        people: people.length
+      },
+      results: { movies, cinemas, people }
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Autocomplete suggestions while typing
+// @route   GET /api/search/suggest
+// @access  Public
+export const suggest = async (req, res, next) => {
+  try {
+    const suggestions = await searchService.suggest(req.query);
+
+    res.status(200).json({
+      success: true,
+      count: suggestions.length,
+      suggestions
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,6 +1,12 @@
 import Showtime from '../models/Showtime.model.js';
 import Movie from '../models/Movie.model.js';
 import Cinema from '../models/Cinema.model.js';
+import seatHoldService from '../services/seatHoldService.js';
+import seatMapService from '../services/seatMapService.js';
+import bestSeatService from '../services/bestSeatService.js';
+import waitlistService from '../services/waitlistService.js';
+import showtimeCancellationService from '../services/showtimeCancellationService.js';
+import scheduleService from '../services/scheduleService.js';
 
 // @desc    Get all showtimes
 // @route   GET /api/showtimes
@@ -101,23 +107,11 @@ export const createShowtime = async (req, res, next) => {
       });
     }
 
-    // Calculate end time
-    const endTime = new Date(startTime);
-    endTime.setMinutes(endTime.getMinutes() + movie.duration + 15); // +15 minutes for cleaning
+    // Movie duration plus cleaning time
+    const endTime = scheduleService.endTimeFor(startTime, movie);
 
     // Check for conflicts
-    const conflictingShowtime = await Showtime.findOne({
-      cinemaId,
-      screenId,
-      date: new Date(date),
-      $or: [
-        {
-          startTime: { $lt: endTime },
-          endTime: { $gt: new Date(startTime) }
-        }
-      ],
-      isActive: true
-    });
+    const conflictingShowtime = await scheduleService.findConflict(cinemaId, screenId, new Date(startTime), endTime);
 
     if (conflictingShowtime) {
       return res.status(400).json({
@@ -130,11 +124,11 @@ export const createShowtime = async (req, res, next) => {
       movieId,
       cinemaId,
       screenId,
+      ...scheduleService.screenSnapshot(screen),
       startTime: new Date(startTime),
       endTime,
       date: new Date(date),
-      price: price || cinema.priceList,
-      availableSeats: screen.seats.total
+      price: price || cinema.priceList
     });
 
     res.status(201).json({
@@ -146,6 +140,47 @@ export const createShowtime = async (req, res, next) => {
   }
 };
 
+// @desc    Create showtimes for a date range from schedule templates
+// @route   POST /api/showtimes/bulk
+// @access  Private/Admin
+export const createBulkShowtimes = async (req, res, next) => {
+  try {
+    const { dryRun = true, skipConflicts = false } = req.body;
+
+    const plan = await scheduleService.plan(req.body);
+    const preview = scheduleService.summarize(plan);
+
+    // Nothing is created until the admin has seen the preview
+    if (dryRun) {
+      return res.status(200).json({
+        success: true,
+        dryRun: true,
+        count: preview.showtimes.length,
+        ...preview
+      });
+    }
+
+    if (preview.conflicts.length > 0 && !skipConflicts) {
+      return res.status(409).json({
+        success: false,
+        message: 'Some showtimes conflict, resolve them or set skipConflicts to create the rest',
+        ...preview
+      });
+    }
+
+    const showtimes = await scheduleService.createFromPlan(plan);
+
+    res.status(201).json({
+      success: true,
+      count: showtimes.length,
+      showtimes,
+      skipped: preview.conflicts
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Update showtime
 // @route   PUT /api/showtimes/:id
 // @access  Private/Admin
@@ -160,7 +195,38 @@ export const updateShowtime = async (req, res, next) => {
       });
     }
 
-    showtime = await Showtime.findByIdAndUpdate(req.params.id, req.body, {
+    // Cancelling has to go through the cancel workflow so bookings are refunded
+    if (req.body.status === 'cancelled' && showtime.status !== 'cancelled') {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/showtimes/:id/cancel to cancel a showtime'
+      });
+    }
+
+    // The screen snapshot is only taken from the screen itself
+    const { room, seatLayout, availableSeats, ...updates } = req.body;
+
+    if (updates.screenId && String(updates.screenId) !== String(showtime.screenId)) {
+      if (showtime.bookedSeats.length > 0 || showtime.heldSeats.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cannot move a showtime with bookings to another screen'
+        });
+      }
+
+      const cinema = await Cinema.findById(showtime.cinemaId);
+      const screen = cinema && cinema.screens.id(updates.screenId);
+      if (!screen) {
+        return res.status(404).json({
+          success: false,
+          message: 'Screen not found'
+        });
+      }
+
+      Object.assign(updates, scheduleService.screenSnapshot(screen));
+    }
+
+    showtime = await Showtime.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     });
@@ -208,6 +274,37 @@ export const deleteShowtime = async (req, res, next) => {
   }
 };
 
+// @desc    Cancel showtime, refund its bookings and notify customers
+// @route   POST /api/showtimes/:id/cancel
+// @access  Private/Admin
+export const cancelShowtime = async (req, res, next) => {
+  try {
+    const { showtime, summary, alternatives } = await showtimeCancellationService.cancel(
+      req.params.id,
+      req.body,
+      req.user
+    );
+
+    const io = req.app.get('io');
+    io.to(`showtime-${showtime._id}`).emit('showtime-cancelled', {
+      showtimeId: showtime._id,
+      reason: showtime.cancellation.reason
+    });
+
+    res.status(200).json({
+      success: summary.failed.length === 0,
+      message: summary.failed.length === 0
+        ? 'Showtime cancelled successfully'
+        : 'Showtime cancelled, some bookings could not be cancelled, run it again to retry',
+      showtime,
+      summary,
+      alternatives
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @desc    Get showtimes by movie
 // @route   GET /api/showtimes/movie/:movieId
 // @access  Public
@@ -285,3 +382,201 @@ export const getShowtimesByCinema = async (req, res, next) => {
     next(error);
   }
 };
+
+// @desc    Get seat map with per-seat status
+// @route   GET /api/showtimes/:id/seat-map
+// @access  Public
+export const getSeatMap = async (req, res, next) => {
+  try {
+    const showtime = await Showtime.findById(req.params.id).populate('cinemaId');
+
+    if (!showtime) {
+      return res.status(404).json({
+        success: false,
+        message: 'Showtime not found'
+      });
+    }
+
+    const seatMap = seatMapService.buildSeatMap(showtime, showtime.cinemaId);
+
+    res.status(200).json({
+      success: true,
+      seatMap
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Suggest the best available seats for a party
+// @route   POST /api/showtimes/:id/best-seats
+// @access  Public
+export const getBestSeats = async (req, res, next) => {
+  try {
+    const { partySize, seatType, preferredRows } = req.body;
+
+    const showtime = await Showtime.findById(req.params.id).populate('cinemaId');
+
+    if (!showtime) {
+      return res.status(404).json({
+        success: false,
+        message: 'Showtime not found'
+      });
+    }
+
+    const [best, ...alternatives] = bestSeatService.findBestSeats(showtime, showtime.cinemaId, {
+      partySize,
+      seatType,
+      preferredRows
+    });
+
+    if (!best) {
+      return res.status(404).json({
+        success: false,
+        message: 'No block of adjacent seats available for this party size'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      seats: best.seats,
+      totalPrice: best.totalPrice,
+      alternatives
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Hold seats during checkout
+// @route   POST /api/showtimes/:id/holds
+// @access  Private
+export const createSeatHold = async (req, res, next) => {
+  try {
+    // Counter staff hold seats for walk-in customers, so they are not capped
+    const hold = await seatHoldService.createHold(req.params.id, req.body.seats, req.user.id, {
+      enforceLimits: !['staff', 'admin'].includes(req.user.role)
+    });
+
+    // Let everyone on the seat map see the held seats
+    const io = req.app.get('io');
+    io.to(`showtime-${req.params.id}`).emit('seat-hold-update', {
+      showtimeId: req.params.id,
+      heldSeats: hold.seats,
+      expiresAt: hold.expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      hold
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Release held seats
+// @route   DELETE /api/showtimes/:id/holds/:holdId
+// @access  Private
+export const releaseSeatHold = async (req, res, next) => {
+  try {
+    const ownerId = ['admin', 'staff'].includes(req.user.role) ? null : req.user.id;
+    const released = await seatHoldService.releaseHold(req.params.id, req.params.holdId, ownerId);
+
+    if (!released) {
+      return res.status(404).json({
+        success: false,
+        message: 'Hold not found'
+      });
+    }
+
+    const io = req.app.get('io');
+    io.to(`showtime-${req.params.id}`).emit('seat-hold-update', {
+      showtimeId: req.params.id,
+      released: true
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Hold released successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Join the waitlist of a sold-out showtime
+// @route   POST /api/showtimes/:id/waitlist
+// @access  Private
+export const joinWaitlist = async (req, res, next) => {
+  try {
+    const { entry, position } = await waitlistService.join(req.params.id, req.user, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'You have joined the waitlist',
+      entry,
+      position
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Get my waitlist entry and place in line
+// @route   GET /api/showtimes/:id/waitlist
+// @access  Private
+export const getWaitlistEntry = async (req, res, next) => {
+  try {
+    const entry = await waitlistService.getEntry(req.params.id, req.user._id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not on the waitlist for this showtime'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      entry,
+      position: await waitlistService.getPosition(entry)
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// @desc    Leave the waitlist
+// @route   DELETE /api/showtimes/:id/waitlist
+// @access  Private
+export const leaveWaitlist = async (req, res, next) => {
+  try {
+    const entry = await waitlistService.leave(req.params.id, req.user._id);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not on the waitlist for this showtime'
+      });
+    }
+
+    // Seats offered to this customer go to the next one in line
+    if (entry.status === 'offered') {
+      const io = req.app.get('io');
+      io.to(`showtime-${req.params.id}`).emit('seat-hold-update', {
+        showtimeId: req.params.id,
+        released: true
+      });
+      // The declined seats go to the next in line in the background
+      waitlistService.offerReleasedSeats(req.params.id, io);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'You have left the waitlist'
+    });
+  } catch (error) {
+    next(error);
+  }
+};
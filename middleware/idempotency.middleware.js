@@ -0,0 +1,125 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.model.js';
+import { logger } from '../utils/logger.js';
+
+const KEY_TTL_HOURS = 24;
+// A request still processing after this long died with its process
+const STALE_PROCESSING_MINUTES = 5;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Mongo's TTL monitor runs about once a minute, so expired records can still be found
+const isAbandoned = (record) => {
+  const now = Date.now();
+  return record.expiresAt <= now ||
+    (record.status === 'processing' && now - record.createdAt > STALE_PROCESSING_MINUTES * 60 * 1000);
+};
+
+// Replay the stored response for a retried request carrying the same Idempotency-Key.
+// Must run after protect so keys are scoped per user.
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (!key || SAFE_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  try {
+    const path = req.originalUrl.split('?')[0];
+    const requestHash = crypto
+      .createHash('sha256')
+      .update(`${req.method} ${path} ${JSON.stringify(req.body || {})}`)
+      .digest('hex');
+
+    // The key can expire between a failed insert and the lookup, so claim it again once
+    let record;
+    for (let attempt = 0; !record && attempt < 2; attempt++) {
+      try {
+        record = await IdempotencyKey.create({
+          key,
+          userId: req.user.id,
+          method: req.method,
+          path,
+          requestHash,
+          expiresAt: new Date(Date.now() + KEY_TTL_HOURS * 60 * 60 * 1000)
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // Key already used - replay or reject
+        const existing = await IdempotencyKey.findOne({ userId: req.user.id, key });
+        if (!existing) continue;
+        if (isAbandoned(existing)) {
+          // Guarded on what was read so a record renewed in the meantime is kept
+          await IdempotencyKey.deleteOne({ _id: existing._id, status: existing.status, updatedAt: existing.updatedAt });
+          continue;
+        }
+
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key has already been used with a different request'
+          });
+        }
+
+        if (existing.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            message: 'A request with this Idempotency-Key is still being processed'
+          });
+        }
+
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+    }
+
+    if (!record) {
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is still being processed'
+      });
+    }
+
+    // Capture the response so retries get exactly the same answer
+    let responseBody;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    let settled = false;
+    res.on('finish', async () => {
+      settled = true;
+      try {
+        if (res.statusCode >= 500) {
+          // Let the client retry after a server error
+          await IdempotencyKey.deleteOne({ _id: record._id });
+          return;
+        }
+
+        record.status = 'completed';
+        record.responseStatus = res.statusCode;
+        record.responseBody = JSON.parse(JSON.stringify(responseBody ?? null));
+        await record.save();
+      } catch (error) {
+        logger.error('Idempotency record save failed:', error);
+      }
+    });
+
+    // The client went away before the response was sent, so its retry must
+    // not be turned away as still processing
+    res.on('close', async () => {
+      if (settled) return;
+      try {
+        await IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' });
+      } catch (error) {
+        logger.error('Idempotency record release failed:', error);
+      }
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
@@ -30,6 +30,7 @@ const bookingSchema = new mongoose.Schema({
     ref: 'Cinema',
     required: true
   },
+  // Each seat is an individual ticket that is checked in or refunded on its own
   seats: [{
     row: String,
     number: Number,
@@ -37,7 +38,17 @@ const bookingSchema = new mongoose.Schema({
       type: String,
       enum: ['standard', 'vip', 'couple']
     },
-    price: Number
+    price: Number,
+    ticketCode: String,
+    status: {
+      type: String,
+      enum: ['active', 'used', 'cancelled', 'refunded'],
+      default: 'active'
+    },
+    qrCode: String,
+    checkInTime: Date,
+    refundAmount: Number,
+    cancelledAt: Date
   }],
   combos: [{
     comboId: {
@@ -55,7 +66,11 @@ const bookingSchema = new mongoose.Schema({
   discount: {
     amount: Number,
     code: String,
-    type: String
+    type: { type: String },
+    promotionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    }
   },
   loyaltyPointsUsed: {
     type: Number,
@@ -104,6 +119,11 @@ const bookingSchema = new mongoose.Schema({
     role: String,
     name: String
   },
+  // Counter shift that took the payment
+  posSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PosSession'
+  },
   checkInTime: Date,
   cancellationReason: String,
   refundAmount: Number,
@@ -114,14 +134,103 @@ const bookingSchema = new mongoose.Schema({
       default: false
     },
     shareLink: String,
+    shareToken: String,
+    organizerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Seats not paid for by then are released or handed to the organizer
+    deadline: Date,
+    unclaimedPolicy: {
+      type: String,
+      enum: ['release', 'charge-organizer'],
+      default: 'release'
+    },
+    settledAt: Date,
+    // Under charge-organizer, the organizer has until then to pay the unclaimed seats
+    chargeDeadline: Date,
     participants: [{
       userId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User'
       },
-      status: String
+      status: {
+        type: String,
+        enum: ['pending', 'joined', 'paid', 'released'],
+        default: 'pending'
+      },
+      seats: [{
+        row: String,
+        number: Number
+      }],
+      amount: Number,
+      joinedAt: Date,
+      paymentDetails: {
+        transactionId: String,
+        paymentTime: Date,
+        provider: String
+      }
     }]
   },
+  // Audit trail of seat / showtime changes
+  exchanges: [{
+    fromShowtimeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Showtime'
+    },
+    toShowtimeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Showtime'
+    },
+    fromSeats: [{
+      row: String,
+      number: Number,
+      type: { type: String },
+      price: Number
+    }],
+    toSeats: [{
+      row: String,
+      number: Number,
+      type: { type: String },
+      price: Number
+    }],
+    previousAmount: Number,
+    newAmount: Number,
+    priceDifference: Number,
+    settlement: {
+      method: {
+        type: String,
+        enum: ['online', 'cash', 'none']
+      },
+      status: {
+        type: String,
+        enum: ['completed', 'pending', 'failed']
+      },
+      transactionId: String,
+      // Extra amount collected with this exchange
+      amount: Number,
+      // Counter session the cash difference went through
+      posSessionId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PosSession'
+      },
+      refundId: String,
+      provider: String,
+      error: String
+    },
+    reason: String,
+    processedBy: {
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      role: String
+    },
+    exchangedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   notes: String
 }, {
   timestamps: true
@@ -140,5 +249,8 @@ bookingSchema.index({ userId: 1, createdAt: -1 });
 // bookingCode already has unique index from schema definition
 bookingSchema.index({ showtimeId: 1 });
 bookingSchema.index({ status: 1, paymentStatus: 1 });
+bookingSchema.index({ 'groupBooking.participants.userId': 1 });
+bookingSchema.index({ posSessionId: 1 });
+bookingSchema.index({ 'exchanges.settlement.posSessionId': 1 }, { sparse: true });
 
 export default mongoose.model('Booking', bookingSchema);
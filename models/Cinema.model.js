@@ -31,6 +31,12 @@ const screenSchema = new mongoose.Schema({
   },
   seats: {
     layout: [[seatSchema]], // 2D array representing seat layout
+    // Bumped whenever seats are added, removed or retyped, so showtimes can
+    // tell whether their snapshot still matches the screen
+    layoutVersion: {
+      type: Number,
+      default: 1
+    },
     total: Number,
     vip: Number,
     couple: Number,
@@ -39,6 +45,22 @@ const screenSchema = new mongoose.Schema({
   amenities: [{
     type: String
   }],
+  // Seats out of service for a period. Kept apart from the layout so the
+  // windows survive layout edits; an open window has no end date.
+  seatMaintenance: [{
+    row: String,
+    number: Number,
+    from: {
+      type: Date,
+      required: true
+    },
+    until: Date,
+    reason: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
   isActive: {
     type: Boolean,
     default: true
@@ -97,6 +119,17 @@ const cinemaSchema = new mongoose.Schema({
       weekend: Number
     }
   },
+  // Seat selection rules enforced on holds and bookings
+  seatRules: {
+    preventOrphanSeats: {
+      type: Boolean,
+      default: true
+    },
+    coupleSeatsInPairs: {
+      type: Boolean,
+      default: true
+    }
+  },
   rating: {
     average: {
       type: Number,
@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Food & beverage sold at the counter without a ticket
+const fnbSaleSchema = new mongoose.Schema({
+  posSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PosSession',
+    required: true
+  },
+  cinemaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cinema',
+    required: true
+  },
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  items: [{
+    comboId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Combo'
+    },
+    name: String,
+    quantity: Number,
+    price: Number
+  }],
+  totalAmount: {
+    type: Number,
+    required: true
+  },
+  paymentMethod: {
+    type: String,
+    enum: ['credit-card', 'debit-card', 'e-wallet', 'cash'],
+    default: 'cash'
+  }
+}, {
+  timestamps: true
+});
+
+fnbSaleSchema.index({ posSessionId: 1 });
+
+export default mongoose.model('FnbSale', fnbSaleSchema);
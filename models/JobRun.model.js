@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+// One run of a scheduled job and the status changes it made
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  transitionCount: {
+    type: Number,
+    default: 0
+  },
+  // Capped list of the changes; every change is also written to the log
+  transitions: [{
+    _id: false,
+    model: String,
+    documentId: mongoose.Schema.Types.ObjectId,
+    label: String,
+    field: String,
+    from: String,
+    to: String
+  }],
+  error: String,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('JobRun', jobRunSchema);
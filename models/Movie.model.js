@@ -113,6 +113,11 @@ const movieSchema = new mongoose.Schema({
 // Index for search
 movieSchema.index({ title: 'text', description: 'text', director: 'text' });
 
+// Catalog filters and sorts
+movieSchema.index({ isActive: 1, status: 1, releaseDate: -1 });
+movieSchema.index({ isActive: 1, genres: 1 });
+movieSchema.index({ isActive: 1, ticketsSold: -1 });
+
 // Update status based on dates
 movieSchema.methods.updateStatus = function() {
   const now = new Date();
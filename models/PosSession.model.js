@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+const paymentMethods = ['credit-card', 'debit-card', 'e-wallet', 'cash', 'loyalty-points'];
+
+// A staff member's shift at a counter, from opening float to cash-up
+const posSessionSchema = new mongoose.Schema({
+  staffId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cinemaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cinema',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'closed', 'reviewed'],
+    default: 'open'
+  },
+  openingFloat: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  openedAt: {
+    type: Date,
+    default: Date.now
+  },
+  closedAt: Date,
+  // Filled in when the session is closed
+  reconciliation: {
+    methods: [{
+      method: {
+        type: String,
+        enum: paymentMethods
+      },
+      sales: Number,
+      refunds: Number,
+      expected: Number,
+      counted: Number,
+      difference: Number
+    }],
+    totalExpected: Number,
+    totalCounted: Number,
+    totalDifference: Number,
+    bookingCount: Number,
+    ticketCount: Number,
+    fnbSaleCount: Number,
+    refundCount: Number,
+    exchangeCount: Number
+  },
+  notes: String,
+  review: {
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: Date,
+    note: String
+  }
+}, {
+  timestamps: true
+});
+
+// A staff member can only have one open session at a time
+posSessionSchema.index({ staffId: 1 }, { unique: true, partialFilterExpression: { status: 'open' } });
+posSessionSchema.index({ cinemaId: 1, openedAt: -1 });
+
+export default mongoose.model('PosSession', posSessionSchema);
@@ -0,0 +1,29 @@
+import mongoose from 'mongoose';
+
+// Per-user usage of a promotion, used to enforce usageLimit.perUser
+const promotionRedemptionSchema = new mongoose.Schema({
+  promotionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  bookings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  }]
+}, {
+  timestamps: true
+});
+
+promotionRedemptionSchema.index({ promotionId: 1, userId: 1 }, { unique: true });
+
+export default mongoose.model('PromotionRedemption', promotionRedemptionSchema);
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+
+const refundSchema = new mongoose.Schema({
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cinemaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cinema'
+  },
+  policyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RefundPolicy'
+  },
+  policyName: String,
+  // Set when only some tickets of the booking were refunded
+  tickets: [{
+    ticketId: mongoose.Schema.Types.ObjectId,
+    row: String,
+    number: Number,
+    amount: Number
+  }],
+  amount: {
+    type: Number,
+    required: true
+  },
+  refundPercent: Number,
+  fee: Number,
+  hoursBeforeShowtime: Number,
+  method: {
+    type: String,
+    enum: ['online', 'cash', 'none'],
+    required: true
+  },
+  // How the booking was paid, used to reconcile counter refunds
+  paymentMethod: String,
+  // Counter shift that handed the refund back
+  posSessionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PosSession'
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed'],
+    default: 'pending'
+  },
+  // One entry per provider transaction (several for split group payments)
+  providerRefunds: [{
+    transactionId: String,
+    provider: String,
+    amount: Number,
+    refundId: String,
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending'
+    },
+    error: String
+  }],
+  reason: String,
+  processedBy: {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    role: String
+  },
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+refundSchema.index({ bookingId: 1 });
+refundSchema.index({ status: 1 });
+refundSchema.index({ posSessionId: 1 });
+
+export default mongoose.model('Refund', refundSchema);
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+const refundPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true
+  },
+  // Leave empty to apply to every cinema / movie
+  cinemaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cinema'
+  },
+  movieId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie'
+  },
+  // e.g. [{ minHoursBefore: 24, refundPercent: 100 }, { minHoursBefore: 2, refundPercent: 50 }]
+  tiers: [{
+    minHoursBefore: {
+      type: Number,
+      required: true
+    },
+    refundPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      required: true
+    }
+  }],
+  // Customers cannot cancel by themselves later than this
+  minHoursToCancel: {
+    type: Number,
+    default: 2
+  },
+  fee: {
+    fixed: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    percent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0
+    }
+  },
+  refundCombos: {
+    type: Boolean,
+    default: true
+  },
+  restoreUsedPoints: {
+    type: Boolean,
+    default: true
+  },
+  revokeEarnedPoints: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+refundPolicySchema.index({ cinemaId: 1, movieId: 1, isActive: 1 });
+
+export default mongoose.model('RefundPolicy', refundPolicySchema);
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+
+// A day's showtime grid suggested by the schedule optimizer, kept until an admin commits it
+const scheduleProposalSchema = new mongoose.Schema({
+  cinemaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cinema',
+    required: true
+  },
+  // UTC midnight of the local day, as stored in Showtime.date
+  date: {
+    type: Date,
+    required: true
+  },
+  shows: [{
+    movieId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Movie',
+      required: true
+    },
+    title: String,
+    screenId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    screenName: String,
+    screenType: String,
+    startTime: Date,
+    endTime: Date,
+    expectedOccupancy: Number,
+    expectedTickets: Number,
+    expectedRevenue: Number
+  }],
+  constraints: mongoose.Schema.Types.Mixed,
+  expectedRevenue: Number,
+  warnings: [String],
+  status: {
+    type: String,
+    enum: ['proposed', 'committed', 'discarded'],
+    default: 'proposed'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  committedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  committedAt: Date,
+  showtimeIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Showtime'
+  }]
+}, {
+  timestamps: true
+});
+
+scheduleProposalSchema.index({ cinemaId: 1, date: 1, status: 1 });
+
+export default mongoose.model('ScheduleProposal', scheduleProposalSchema);
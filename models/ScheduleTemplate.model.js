@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+// e.g. "Screen 3, Mon-Thu: 10:00, 13:00, 16:30, 20:00"
+const scheduleTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Template name is required'],
+    trim: true
+  },
+  cinemaId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cinema',
+    required: true
+  },
+  screenId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Days of the week, 0 = Sunday ... 6 = Saturday
+  daysOfWeek: {
+    type: [{ type: Number, min: 0, max: 6 }],
+    validate: {
+      validator: days => days.length > 0,
+      message: 'Please select at least one day of the week'
+    }
+  },
+  // Local start times in 24-hour HH:mm
+  startTimes: {
+    type: [{ type: String, match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Start times must be in HH:mm format'] }],
+    validate: {
+      validator: times => times.length > 0,
+      message: 'Please add at least one start time'
+    }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+scheduleTemplateSchema.index({ cinemaId: 1, screenId: 1 });
+
+export default mongoose.model('ScheduleTemplate', scheduleTemplateSchema);
@@ -1,5 +1,11 @@
 import mongoose from 'mongoose';
 
+const layoutSeatSchema = new mongoose.Schema({
+  row: String,
+  number: Number,
+  type: { type: String }
+}, { _id: false });
+
 const showtimeSchema = new mongoose.Schema({
   movieId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -20,12 +26,21 @@ const showtimeSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    // Legacy format, only read for showtimes created before screenType was snapshotted
     type: {
       type: String,
       enum: ['standard', 'imax', '4dx', 'premium'],
       default: 'standard'
-    }
+    },
+    screenType: {
+      type: String,
+      enum: ['2D', '3D', 'IMAX', '4DX']
+    },
+    layoutVersion: Number
   },
+  // Screen seat layout at the time the showtime was created. Seat maps and
+  // prices are read from it so editing the screen cannot move sold seats.
+  seatLayout: [[layoutSeatSchema]],
   screenId: {
     type: mongoose.Schema.Types.ObjectId
   },
@@ -52,12 +67,30 @@ const showtimeSchema = new mongoose.Schema({
   bookedSeats: [{
     row: String,
     number: Number,
-    type: String,
+    type: { type: String },
     bookingId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Booking'
     }
   }],
+  // Seats temporarily reserved during checkout, released once expiresAt passes
+  heldSeats: [{
+    row: String,
+    number: Number,
+    type: { type: String },
+    holdId: String,
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: Date
+  }],
+  // Seats taken off sale for this showtime only (e.g. reserved for crew)
+  blockedSeats: [{
+    row: String,
+    number: Number,
+    reason: String
+  }],
   crowdPrediction: {
     level: {
       type: String,
@@ -79,6 +112,24 @@ const showtimeSchema = new mongoose.Schema({
     enum: ['scheduled', 'ongoing', 'completed', 'cancelled'],
     default: 'scheduled'
   },
+  cancellation: {
+    reason: String,
+    cancelledBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    cancelledAt: Date,
+    // Outcome of the last run over the showtime's bookings
+    bookingsCancelled: Number,
+    refundedAmount: Number,
+    failedBookings: [{
+      bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking'
+      },
+      error: String
+    }]
+  },
   specialPrice: {
     isActive: Boolean,
     discount: Number,
@@ -96,9 +147,13 @@ const showtimeSchema = new mongoose.Schema({
 showtimeSchema.index({ movieId: 1, cinemaId: 1, date: 1 });
 showtimeSchema.index({ startTime: 1 });
 showtimeSchema.index({ 'crowdPrediction.level': 1 });
+showtimeSchema.index({ 'heldSeats.expiresAt': 1 });
 
 // Update status based on time
 showtimeSchema.methods.updateStatus = function() {
+  // Cancelled showtimes stay cancelled
+  if (this.status === 'cancelled') return;
+
   const now = new Date();
   if (now < this.startTime) {
     this.status = 'scheduled';
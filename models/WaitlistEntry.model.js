@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const waitlistEntrySchema = new mongoose.Schema({
+  showtimeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Showtime',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seatCount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  seatType: {
+    type: String,
+    enum: ['standard', 'vip', 'couple'],
+    default: 'standard'
+  },
+  status: {
+    type: String,
+    enum: ['waiting', 'offered', 'claimed', 'expired', 'cancelled'],
+    default: 'waiting'
+  },
+  // Seats held for the user while the claim window is open
+  offer: {
+    holdId: String,
+    seats: [{
+      row: String,
+      number: Number,
+      type: { type: String }
+    }],
+    offeredAt: Date,
+    expiresAt: Date,
+    notifiedVia: [String]
+  },
+  bookingId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Booking'
+  },
+  closedAt: Date
+}, {
+  timestamps: true
+});
+
+// Entries are served in the order they joined
+waitlistEntrySchema.index({ showtimeId: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+waitlistEntrySchema.index({ 'offer.holdId': 1 });
+// One live entry per user per showtime
+waitlistEntrySchema.index(
+  { showtimeId: 1, userId: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['waiting', 'offered'] } } }
+);
+
+export default mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -1,14 +1,24 @@
 import express from 'express';
 import { protect, authorize } from '../middleware/auth.middleware.js';
+import { idempotency } from '../middleware/idempotency.middleware.js';
 import {
   createBooking,
+  getBookingQuote,
   getMyBookings,
   getBooking,
   cancelBooking,
+  getRefundQuote,
+  getExchangeQuote,
+  exchangeBooking,
   checkInBooking,
+  scanTicket,
   getAllBookings,
   refundBooking,
+  payOutCashRefund,
   createGroupBooking,
+  getGroupBooking,
+  joinGroupBooking,
+  payGroupShare,
   generatePrintableTicket
 } from '../controllers/booking.controller.js';
 
@@ -17,13 +27,25 @@ const router = express.Router();
 // Protected routes
 router.use(protect);
 
+// Replay retried POST/PUT requests that carry an Idempotency-Key header
+router.use(idempotency);
+
 router.post('/', createBooking);
+router.post('/quote', getBookingQuote);
 router.post('/group', createGroupBooking);
+router.get('/group/:id', getGroupBooking);
+router.post('/group/:id/join', joinGroupBooking);
+router.post('/group/:id/pay', payGroupShare);
 router.get('/my-bookings', getMyBookings);
+router.post('/scan', authorize('staff', 'admin'), scanTicket);
 router.get('/:id', getBooking);
 router.put('/:id/cancel', cancelBooking);
+router.get('/:id/refund-quote', getRefundQuote);
+router.post('/:id/exchange/quote', getExchangeQuote);
+router.put('/:id/exchange', exchangeBooking);
 router.put('/:id/checkin', authorize('staff', 'admin'), checkInBooking);
 router.put('/:id/refund', authorize('staff', 'admin'), refundBooking);
+router.put('/:id/refund/payout', authorize('staff', 'admin'), payOutCashRefund);
 router.get('/:id/print-ticket', authorize('staff', 'admin'), generatePrintableTicket);
 
 // Admin/Staff routes
@@ -8,6 +8,16 @@ import {
   deleteCinema,
   getNearestCinemas
 } from '../controllers/cinema.controller.js';
+import {
+  getScreens,
+  getScreen,
+  createScreen,
+  updateScreen,
+  deleteScreen,
+  updateScreenLayout,
+  addSeatMaintenance,
+  removeSeatMaintenance
+} from '../controllers/screen.controller.js';
 
 const router = express.Router();
 
@@ -15,10 +25,20 @@ const router = express.Router();
 router.get('/', getCinemas);
 router.get('/nearest', getNearestCinemas);
 router.get('/:id', getCinema);
+router.get('/:id/screens', getScreens);
+router.get('/:id/screens/:screenId', getScreen);
 
 // Protected routes (Admin only)
 router.post('/', protect, authorize('admin'), createCinema);
 router.put('/:id', protect, authorize('admin'), updateCinema);
 router.delete('/:id', protect, authorize('admin'), deleteCinema);
 
+// Screens and seat layouts (Admin only)
+router.post('/:id/screens', protect, authorize('admin'), createScreen);
+router.put('/:id/screens/:screenId', protect, authorize('admin'), updateScreen);
+router.delete('/:id/screens/:screenId', protect, authorize('admin'), deleteScreen);
+router.put('/:id/screens/:screenId/layout', protect, authorize('admin'), updateScreenLayout);
+router.post('/:id/screens/:screenId/maintenance', protect, authorize('admin'), addSeatMaintenance);
+router.delete('/:id/screens/:screenId/maintenance/:maintenanceId', protect, authorize('admin'), removeSeatMaintenance);
+
 export default router;
@@ -0,0 +1,20 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import {
+  getJobs,
+  getJob,
+  getJobRuns,
+  runJob
+} from '../controllers/job.controller.js';
+
+const router = express.Router();
+
+// Admin routes
+router.use(protect, authorize('admin'));
+
+router.get('/', getJobs);
+router.get('/:name', getJob);
+router.get('/:name/runs', getJobRuns);
+router.post('/:name/run', runJob);
+
+export default router;
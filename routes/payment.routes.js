@@ -1,5 +1,6 @@
 import express from 'express';
 import { protect } from '../middleware/auth.middleware.js';
+import { idempotency } from '../middleware/idempotency.middleware.js';
 import {
   createPaymentIntent,
   confirmPayment,
@@ -10,6 +11,9 @@ const router = express.Router();
 
 router.use(protect);
 
+// Replay retried POST/PUT requests that carry an Idempotency-Key header
+router.use(idempotency);
+
 router.post('/create-intent', createPaymentIntent);
 router.post('/confirm', confirmPayment);
 router.get('/history', getPaymentHistory);
@@ -0,0 +1,28 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import {
+  openSession,
+  getCurrentSession,
+  closeSession,
+  createFnbSale,
+  getSessions,
+  getSession,
+  reviewSession
+} from '../controllers/pos.controller.js';
+
+const router = express.Router();
+
+// Staff/Admin routes
+router.use(protect, authorize('staff', 'admin'));
+
+router.post('/sessions', openSession);
+router.get('/sessions', getSessions);
+router.get('/sessions/current', getCurrentSession);
+router.put('/sessions/current/close', closeSession);
+router.get('/sessions/:id', getSession);
+router.post('/sales', createFnbSale);
+
+// Admin routes
+router.put('/sessions/:id/review', authorize('admin'), reviewSession);
+
+export default router;
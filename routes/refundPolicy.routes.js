@@ -0,0 +1,22 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import {
+  getRefundPolicies,
+  getRefundPolicy,
+  createRefundPolicy,
+  updateRefundPolicy,
+  deleteRefundPolicy
+} from '../controllers/refundPolicy.controller.js';
+
+const router = express.Router();
+
+// Admin routes
+router.use(protect, authorize('admin'));
+
+router.get('/', getRefundPolicies);
+router.get('/:id', getRefundPolicy);
+router.post('/', createRefundPolicy);
+router.put('/:id', updateRefundPolicy);
+router.delete('/:id', deleteRefundPolicy);
+
+export default router;
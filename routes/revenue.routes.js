@@ -5,6 +5,7 @@ import {
   getRevenueByPeriod,
   getRevenueByMovie,
   getRevenueByCinema,
+  getShowtimeOccupancy,
   getBookingStats,
   exportReport,
   getRecentActivities
@@ -18,6 +19,7 @@ router.get('/dashboard', getDashboardStats);
 router.get('/period', getRevenueByPeriod);
 router.get('/by-movie', getRevenueByMovie);
 router.get('/by-cinema', getRevenueByCinema);
+router.get('/showtime/:id', getShowtimeOccupancy);
 router.get('/booking-stats', getBookingStats);
 router.get('/recent-activities', getRecentActivities);
 router.get('/export', exportReport);
@@ -0,0 +1,22 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import {
+  createScheduleProposal,
+  getScheduleProposals,
+  getScheduleProposal,
+  commitScheduleProposal,
+  discardScheduleProposal
+} from '../controllers/scheduleProposal.controller.js';
+
+const router = express.Router();
+
+// Admin routes
+router.use(protect, authorize('admin'));
+
+router.get('/', getScheduleProposals);
+router.get('/:id', getScheduleProposal);
+router.post('/', createScheduleProposal);
+router.put('/:id/commit', commitScheduleProposal);
+router.put('/:id/discard', discardScheduleProposal);
+
+export default router;
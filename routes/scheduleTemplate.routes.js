@@ -0,0 +1,22 @@
+import express from 'express';
+import { protect, authorize } from '../middleware/auth.middleware.js';
+import {
+  getScheduleTemplates,
+  getScheduleTemplate,
+  createScheduleTemplate,
+  updateScheduleTemplate,
+  deleteScheduleTemplate
+} from '../controllers/scheduleTemplate.controller.js';
+
+const router = express.Router();
+
+// Admin routes
+router.use(protect, authorize('admin'));
+
+router.get('/', getScheduleTemplates);
+router.get('/:id', getScheduleTemplate);
+router.post('/', createScheduleTemplate);
+router.put('/:id', updateScheduleTemplate);
+router.delete('/:id', deleteScheduleTemplate);
+
+export default router;
@@ -0,0 +1,10 @@
+import express from 'express';
+import { search, suggest } from '../controllers/search.controller.js';
+
+const router = express.Router();
+
+// Public routes
+router.get('/', search);
+router.get('/suggest', suggest);
+
+export default router;
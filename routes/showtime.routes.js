@@ -4,10 +4,19 @@ import {
   getShowtimes,
   getShowtime,
   createShowtime,
+  createBulkShowtimes,
   updateShowtime,
   deleteShowtime,
+  cancelShowtime,
   getShowtimesByMovie,
-  getShowtimesByCinema
+  getShowtimesByCinema,
+  getSeatMap,
+  getBestSeats,
+  createSeatHold,
+  releaseSeatHold,
+  joinWaitlist,
+  getWaitlistEntry,
+  leaveWaitlist
 } from '../controllers/showtime.controller.js';
 
 const router = express.Router();
@@ -15,12 +24,25 @@ const router = express.Router();
 // Public routes
 router.get('/', getShowtimes);
 router.get('/:id', getShowtime);
+router.get('/:id/seat-map', getSeatMap);
+router.post('/:id/best-seats', getBestSeats);
 router.get('/movie/:movieId', getShowtimesByMovie);
 router.get('/cinema/:cinemaId', getShowtimesByCinema);
 
+// Seat holds
+router.post('/:id/holds', protect, createSeatHold);
+router.delete('/:id/holds/:holdId', protect, releaseSeatHold);
+
+// Waitlist for sold-out showtimes
+router.post('/:id/waitlist', protect, joinWaitlist);
+router.get('/:id/waitlist', protect, getWaitlistEntry);
+router.delete('/:id/waitlist', protect, leaveWaitlist);
+
 // Protected routes (Admin only)
 router.post('/', protect, authorize('admin'), createShowtime);
+router.post('/bulk', protect, authorize('admin'), createBulkShowtimes);
 router.put('/:id', protect, authorize('admin'), updateShowtime);
 router.delete('/:id', protect, authorize('admin'), deleteShowtime);
+router.post('/:id/cancel', protect, authorize('admin'), cancelShowtime);
 
 export default router;
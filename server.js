@@ -1,6 +1,7 @@
+// Load environment variables before any module reads them
+import 'dotenv/config';
 import express from 'express';
 import mongoose from 'mongoose';
-import dotenv from 'dotenv';
 import cors from 'cors';
 import helmet from 'helmet';
 import compression from 'compression';
@@ -24,13 +25,22 @@ import recommendationRoutes from './routes/recommendation.routes.js';
 import crowdPredictionRoutes from './routes/crowdPrediction.routes.js';
 import chatbotRoutes from './routes/chatbot.routes.js';
 import promotionRoutes from './routes/promotion.routes.js';
+import refundPolicyRoutes from './routes/refundPolicy.routes.js';
+import posRoutes from './routes/pos.routes.js';
+import scheduleTemplateRoutes from './routes/scheduleTemplate.routes.js';
+import scheduleProposalRoutes from './routes/scheduleProposal.routes.js';
+import jobRoutes from './routes/job.routes.js';
+import searchRoutes from './routes/search.routes.js';
 
 // Import middleware
 import { errorHandler } from './middleware/error.middleware.js';
 import { logger } from './utils/logger.js';
+import { assertTicketSigningKeys } from './utils/ticketToken.js';
 
-// Load environment variables
-dotenv.config();
+// Import background workers
+import jobRunnerService from './services/jobRunnerService.js';
+
+assertTicketSigningKeys();
 
 const app = express();
 const httpServer = createServer(app);
@@ -75,6 +85,12 @@ app.use('/api/recommendations', recommendationRoutes);
 app.use('/api/crowd-prediction', crowdPredictionRoutes);
 app.use('/api/chatbot', chatbotRoutes);
 app.use('/api/promotions', promotionRoutes);
+app.use('/api/refund-policies', refundPolicyRoutes);
+app.use('/api/pos', posRoutes);
+app.use('/api/schedule-templates', scheduleTemplateRoutes);
+app.use('/api/schedule-proposals', scheduleProposalRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/search', searchRoutes);
 
 // Health check
 app.get('/health', (req, res) => {
@@ -132,6 +148,8 @@ const connectDB = async () => {
 const PORT = process.env.PORT || 5000;
 
 connectDB().then(() => {
+  jobRunnerService.start(io);
+
   httpServer.listen(PORT, () => {
     logger.info(`Server running on port ${PORT} in ${process.env.NODE_ENV} mode`);
   });
@@ -0,0 +1,111 @@
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import seatMapService from './seatMapService.js';
+import seatRuleService from './seatRuleService.js';
+import pricingService from './pricingService.js';
+
+/**
+ * Best Seat Service
+ * Picks the best block of adjacent free seats for a party
+ */
+class BestSeatService {
+  constructor() {
+    // Ideal viewing row as a fraction of the hall depth (0 = front row)
+    this.idealRowPosition = 0.6;
+    this.maxPartySize = 10;
+  }
+
+  /**
+   * Lower is better: distance of the block from the centre of its row
+   * and of the row from the ideal viewing row, both scaled to 0..1
+   */
+  _score(block, rowSeats, rowIndex, rowCount, preferredRows) {
+    const numbers = rowSeats.map(s => s.number);
+    const rowCentre = (Math.min(...numbers) + Math.max(...numbers)) / 2;
+    const rowHalfWidth = Math.max((Math.max(...numbers) - Math.min(...numbers)) / 2, 1);
+    const blockCentre = (block[0].number + block[block.length - 1].number) / 2;
+    const horizontal = Math.abs(blockCentre - rowCentre) / rowHalfWidth;
+
+    const idealRow = (rowCount - 1) * this.idealRowPosition;
+    const vertical = rowCount > 1 ? Math.abs(rowIndex - idealRow) / (rowCount - 1) : 0;
+
+    const preferredBonus = preferredRows.includes(block[0].row) ? 0.5 : 0;
+
+    return Number((horizontal + vertical - preferredBonus).toFixed(4));
+  }
+
+  /**
+   * Find the best contiguous seat blocks for a showtime
+   * @param {Object} showtime - Showtime document
+   * @param {Object} cinema - Cinema document of the showtime
+   * @param {Object} options - { partySize, seatType, preferredRows, limit }
+   * @returns {Array} Candidate blocks, best first
+   */
+  findBestSeats(showtime, cinema, { partySize, seatType, preferredRows = [], limit = 3 }) {
+    const size = Number(partySize);
+    if (!Number.isInteger(size) || size < 1 || size > this.maxPartySize) {
+      throw new ErrorResponse(`Party size must be between 1 and ${this.maxPartySize}`, 400);
+    }
+
+    const rows = preferredRows ?? [];
+    if (!Array.isArray(rows) || !rows.every(row => typeof row === 'string' && /^[A-Za-z]{1,2}$/.test(row.trim()))) {
+      throw new ErrorResponse('Preferred rows must be a list of row letters, e.g. ["E", "F"]', 400);
+    }
+    const preferred = rows.map(row => row.trim().toUpperCase());
+
+    const layout = seatMapService.getLayout(showtime, cinema);
+    if (layout.length === 0) {
+      throw new ErrorResponse('Seat layout is not configured for this screen', 404);
+    }
+
+    const taken = seatMapService.getTakenSeatKeys(showtime, cinema);
+    const candidates = [];
+
+    layout.forEach((rowSeats, rowIndex) => {
+      seatRuleService.segments(rowSeats).forEach(segment => {
+        for (let start = 0; start + size <= segment.length; start++) {
+          const block = segment.slice(start, start + size);
+          const usable = block.every(seat =>
+            !taken.has(seatMapService.seatKey(seat)) &&
+            (!seatType || seat.type === seatType)
+          );
+          if (!usable) continue;
+
+          candidates.push({
+            block,
+            score: this._score(block, rowSeats, rowIndex, layout.length, preferred)
+          });
+        }
+      });
+    });
+
+    candidates.sort((a, b) => a.score - b.score);
+
+    // Keep only blocks the seat rules would accept at checkout
+    const results = [];
+    for (const candidate of candidates) {
+      try {
+        seatRuleService.validate(showtime, cinema, candidate.block);
+      } catch (error) {
+        continue;
+      }
+
+      const seats = candidate.block.map(seat => ({
+        row: seat.row,
+        number: seat.number,
+        type: seat.type,
+        price: pricingService.priceSeat(seat.type, showtime, cinema).price
+      }));
+
+      results.push({
+        seats,
+        totalPrice: seats.reduce((sum, s) => sum + s.price, 0),
+        score: candidate.score
+      });
+      if (results.length >= limit) break;
+    }
+
+    return results;
+  }
+}
+
+export default new BestSeatService();
@@ -0,0 +1,285 @@
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.model.js';
+import Showtime from '../models/Showtime.model.js';
+import User from '../models/User.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import { withTransaction } from '../utils/transaction.js';
+import { generateTicketQR } from '../utils/qrcode.js';
+import { logger } from '../utils/logger.js';
+import promotionService from './promotionService.js';
+import waitlistService from './waitlistService.js';
+
+/**
+ * Booking Service
+ * Shared write operations for bookings. Every method takes an optional
+ * session so callers can compose them inside one transaction.
+ */
+class BookingService {
+  constructor() {
+    this.sweepIntervalMs = 60 * 1000;
+    this.paymentWindowMinutes = Number(process.env.BOOKING_PAYMENT_MINUTES) || 15;
+  }
+
+  /**
+   * Tickets of a booking that can still be used, cancelled or refunded
+   */
+  activeTickets(booking) {
+    return booking.seats.filter(s => !s.status || s.status === 'active');
+  }
+
+  /**
+   * Turn the seats of new booking data into tickets with their own code and QR
+   * @param {Object} bookingData - Booking fields ({ _id, bookingCode, showtimeId, cinemaId, seats })
+   */
+  async issueTickets(bookingData) {
+    for (const seat of bookingData.seats) {
+      seat._id = seat._id || new mongoose.Types.ObjectId();
+      seat.ticketCode = `${bookingData.bookingCode}-${seat.row}${seat.number}`;
+      seat.status = 'active';
+      seat.qrCode = await generateTicketQR(bookingData, seat);
+    }
+    return bookingData.seats;
+  }
+
+  /**
+   * Put seats of a booking back on sale, by default all of its active tickets
+   */
+  async releaseSeats(booking, session, seats = this.activeTickets(booking)) {
+    if (seats.length === 0) return;
+
+    await Showtime.updateOne(
+      { _id: booking.showtimeId, 'bookedSeats.bookingId': booking._id },
+      {
+        $pull: {
+          bookedSeats: {
+            bookingId: booking._id,
+            $or: seats.map(s => ({ row: s.row, number: s.number }))
+          }
+        },
+        $inc: { availableSeats: seats.length }
+      },
+      { session }
+    );
+  }
+
+  /**
+   * Close a booking and all of its active tickets, then release their seats
+   * @returns {Object|null} Updated booking, null when the filter did not match
+   */
+  async _close(filter, updates, ticketStatus, session) {
+    const previous = await Booking.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          ...updates,
+          'seats.$[ticket].status': ticketStatus,
+          'seats.$[ticket].cancelledAt': new Date()
+        }
+      },
+      { arrayFilters: [{ 'ticket.status': { $in: ['active', null] } }], session }
+    );
+    if (!previous) return null;
+
+    await this.releaseSeats(previous, session);
+    return Booking.findById(previous._id).session(session);
+  }
+
+  /**
+   * Give back spent points and take back points earned by a booking
+   * @param {Object} options - { restoreUsedPoints, revokeEarnedPoints } from the refund policy
+   */
+  async restoreLoyaltyPoints(booking, session, { restoreUsedPoints = true, revokeEarnedPoints = true } = {}) {
+    if (!booking.userId) return;
+
+    const pointsDelta = (restoreUsedPoints ? booking.loyaltyPointsUsed || 0 : 0) -
+      (revokeEarnedPoints ? booking.loyaltyPointsEarned || 0 : 0);
+    if (pointsDelta === 0) return;
+
+    const user = await User.findByIdAndUpdate(
+      booking.userId,
+      { $inc: { loyaltyPoints: pointsDelta } },
+      { new: true, session }
+    );
+    if (user) {
+      user.updateLoyaltyTier();
+      await user.save({ session });
+    }
+  }
+
+  /**
+   * Cancel an active booking and release everything it consumed.
+   * The status guard makes a repeated call fail instead of releasing twice.
+   * @param {String} bookingId - Booking ID
+   * @param {Object} updates - Extra fields to set (reason, refund info...)
+   * @param {Object} loyaltyOptions - How to handle loyalty points, see restoreLoyaltyPoints
+   */
+  async cancel(bookingId, updates, session, loyaltyOptions) {
+    const booking = await this._close(
+      // Once a ticket was checked in only the remaining tickets can be cancelled
+      { _id: bookingId, status: { $nin: ['cancelled', 'expired', 'used'] }, 'seats.status': { $ne: 'used' } },
+      { status: 'cancelled', ...updates },
+      // Tickets are refunded when this cancellation pays something back
+      updates.refundAmount !== undefined ? 'refunded' : 'cancelled',
+      session
+    );
+
+    if (!booking) {
+      throw new ErrorResponse('Booking has already been cancelled or used', 400);
+    }
+
+    await this.restoreLoyaltyPoints(booking, session, loyaltyOptions);
+    await promotionService.revert(booking, session);
+
+    return booking;
+  }
+
+  /**
+   * Cancel some tickets of a booking and release their seats.
+   * Points and promotion usage stay with the booking until it is cancelled as a whole.
+   * @param {Object} booking - Booking document
+   * @param {Array} tickets - [{ ticketId, amount }] refund amount per ticket
+   * @returns {Object} Updated booking
+   */
+  async cancelTickets(booking, tickets, { reason } = {}, session) {
+    const now = new Date();
+    const set = {};
+    const arrayFilters = [];
+    tickets.forEach(({ ticketId, amount }, index) => {
+      set[`seats.$[t${index}].status`] = amount > 0 ? 'refunded' : 'cancelled';
+      set[`seats.$[t${index}].refundAmount`] = amount;
+      set[`seats.$[t${index}].cancelledAt`] = now;
+      arrayFilters.push({ [`t${index}._id`]: ticketId });
+    });
+
+    const refundTotal = tickets.reduce((sum, t) => sum + t.amount, 0);
+    const update = { $set: set, $inc: { refundAmount: refundTotal } };
+    if (refundTotal > 0) update.$set.refundTime = now;
+    if (reason) update.$set.cancellationReason = reason;
+
+    // Every ticket must still be active, so two staff members cannot refund it twice
+    const updated = await Booking.findOneAndUpdate(
+      {
+        _id: booking._id,
+        status: { $in: ['confirmed', 'pending'] },
+        $and: tickets.map(({ ticketId }) => ({
+          seats: { $elemMatch: { _id: ticketId, status: { $in: ['active', null] } } }
+        }))
+      },
+      update,
+      { new: true, arrayFilters, session }
+    );
+
+    if (!updated) {
+      throw new ErrorResponse('Some tickets have already been used, cancelled or refunded', 400);
+    }
+
+    const ticketIds = new Set(tickets.map(t => t.ticketId.toString()));
+    await this.releaseSeats(booking, session, booking.seats.filter(s => ticketIds.has(s._id.toString())));
+
+    // The rest of the party already went in
+    if (this.activeTickets(updated).length === 0) {
+      updated.status = 'used';
+      await updated.save({ session });
+    }
+
+    return updated;
+  }
+
+  /**
+   * Mark a booking as paid unless it expired or was cancelled meanwhile
+   * @param {String} bookingId - Booking ID
+   * @param {Object} paymentDetails - { transactionId, paymentTime, provider }
+   */
+  async markPaid(bookingId, paymentDetails) {
+    const booking = await Booking.findOneAndUpdate(
+      { _id: bookingId, status: { $in: ['pending', 'confirmed'] } },
+      { $set: { paymentStatus: 'completed', status: 'confirmed', paymentDetails } },
+      { new: true }
+    );
+
+    if (!booking) {
+      throw new ErrorResponse('Booking has expired or been cancelled, please book again', 400);
+    }
+
+    return booking;
+  }
+
+  /**
+   * Expire an unpaid booking and release everything it consumed.
+   * Returns null when the booking was paid or cancelled in the meantime.
+   */
+  async expire(bookingId, session) {
+    const booking = await this._close(
+      { _id: bookingId, status: 'pending', paymentStatus: { $in: ['pending', 'failed'] } },
+      { status: 'expired', cancellationReason: 'Payment window expired' },
+      'cancelled',
+      session
+    );
+    if (!booking) return null;
+
+    await this.restoreLoyaltyPoints(booking, session);
+    await promotionService.revert(booking, session);
+
+    return booking;
+  }
+
+  /**
+   * Expire online bookings left unpaid past the payment window.
+   * Group bookings are skipped: they stay pending until their own deadline.
+   * @returns {Array} Expired bookings
+   */
+  async expireUnpaidBookings() {
+    const cutoff = new Date(Date.now() - this.paymentWindowMinutes * 60 * 1000);
+    const unpaid = await Booking.find({
+      status: 'pending',
+      paymentStatus: { $in: ['pending', 'failed'] },
+      bookingType: 'online',
+      'groupBooking.isGroup': { $ne: true },
+      createdAt: { $lte: cutoff }
+    }).select('_id');
+
+    const expired = [];
+    for (const { _id } of unpaid) {
+      try {
+        const booking = await withTransaction(session => this.expire(_id, session));
+        if (booking) expired.push(booking);
+      } catch (error) {
+        logger.error(`Booking expiry failed for ${_id}:`, error);
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Expire unpaid bookings and tell clients the seats are free; run by the job runner
+   * @returns {Array} Transitions for the job run
+   */
+  async sweepUnpaidBookings(io) {
+    const expired = await this.expireUnpaidBookings();
+    expired.forEach(booking => {
+      io.to(`showtime-${booking.showtimeId}`).emit('booking-update', {
+        showtimeId: booking.showtimeId,
+        bookingId: booking._id,
+        status: booking.status,
+        releasedSeats: booking.seats.map(s => ({ row: s.row, number: s.number }))
+      });
+    });
+
+    // Released seats go to each showtime's waitlist
+    const showtimeIds = new Set(expired.map(booking => booking.showtimeId.toString()));
+    for (const showtimeId of showtimeIds) {
+      await waitlistService.offerReleasedSeats(showtimeId, io);
+    }
+
+    return expired.map(booking => ({
+      model: 'Booking',
+      documentId: booking._id,
+      label: booking.bookingCode,
+      field: 'status',
+      from: 'pending',
+      to: booking.status
+    }));
+  }
+}
+
+export default new BookingService();
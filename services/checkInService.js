@@ -0,0 +1,162 @@
+import Booking from '../models/Booking.model.js';
+import Showtime from '../models/Showtime.model.js';
+import { verifyTicketToken } from '../utils/ticketToken.js';
+import bookingService from './bookingService.js';
+
+/**
+ * Check-in Service
+ * Validates scanned ticket QR codes at the door and admits each ticket once
+ */
+class CheckInService {
+  constructor() {
+    // Doors open this long before the show starts
+    this.openMinutesBefore = 60;
+
+    this.messages = {
+      INVALID_TICKET: 'Ticket code is invalid or has been tampered with',
+      BOOKING_NOT_FOUND: 'Booking not found',
+      TICKET_REPLACED: 'Ticket was replaced by a newer one, please show the latest ticket',
+      WRONG_CINEMA: 'Ticket is for another cinema',
+      BOOKING_CANCELLED: 'Booking has been cancelled',
+      BOOKING_EXPIRED: 'Booking expired before it was paid',
+      NOT_PAID: 'Booking has not been paid',
+      ALREADY_USED: 'Ticket has already been checked in',
+      TICKET_NOT_FOUND: 'Ticket does not belong to this booking',
+      TICKET_CANCELLED: 'Ticket has been cancelled or refunded',
+      SHOWTIME_NOT_FOUND: 'Showtime not found',
+      SHOWTIME_CANCELLED: 'Showtime has been cancelled',
+      TOO_EARLY: 'Check-in has not opened yet for this showtime',
+      SHOW_ENDED: 'Showtime has already ended'
+    };
+  }
+
+  _reject(reason, details = {}) {
+    return { accepted: false, reason, message: this.messages[reason], ...details };
+  }
+
+  /**
+   * Verify a scanned ticket and check the booking in
+   * @param {String} token - Signed token read from the QR code
+   * @param {Object} staff - Scanning user; staff are limited to their own cinema
+   * @returns {Object} { accepted, reason, message, booking }
+   */
+  async scan(token, staff, now = new Date()) {
+    const payload = verifyTicketToken(token);
+    if (!payload) return this._reject('INVALID_TICKET');
+
+    const booking = await Booking.findById(payload.bid)
+      .populate('movieId', 'title')
+      .populate('cinemaId', 'name');
+    if (!booking || booking.bookingCode !== payload.code) {
+      return this._reject('BOOKING_NOT_FOUND');
+    }
+
+    // An exchange re-issues the QR for the new showtime
+    if (booking.showtimeId.toString() !== payload.sid) {
+      return this._reject('TICKET_REPLACED');
+    }
+
+    // Only admins scan at any cinema; staff without a cinema scan nowhere
+    if (staff.role !== 'admin' &&
+      (!staff.cinemaId || booking.cinemaId._id.toString() !== staff.cinemaId.toString())) {
+      return this._reject('WRONG_CINEMA');
+    }
+
+    if (booking.status === 'used') {
+      return this._reject('ALREADY_USED', { checkInTime: booking.checkInTime });
+    }
+    if (booking.status === 'cancelled') return this._reject('BOOKING_CANCELLED');
+    if (booking.status === 'expired') return this._reject('BOOKING_EXPIRED');
+    if (booking.status !== 'confirmed' || booking.paymentStatus !== 'completed') {
+      return this._reject('NOT_PAID');
+    }
+
+    // A ticket QR admits one seat, the booking QR admits every remaining seat
+    let tickets = bookingService.activeTickets(booking);
+    if (payload.tid) {
+      const ticket = booking.seats.find(s => s._id.toString() === payload.tid);
+      if (!ticket) return this._reject('TICKET_NOT_FOUND');
+      if (ticket.status === 'used') {
+        return this._reject('ALREADY_USED', { checkInTime: ticket.checkInTime });
+      }
+      if (['cancelled', 'refunded'].includes(ticket.status)) return this._reject('TICKET_CANCELLED');
+      tickets = [ticket];
+    }
+    if (tickets.length === 0) return this._reject('ALREADY_USED');
+
+    const showtime = await Showtime.findById(booking.showtimeId);
+    if (!showtime) return this._reject('SHOWTIME_NOT_FOUND');
+    if (showtime.status === 'cancelled') return this._reject('SHOWTIME_CANCELLED');
+
+    const opensAt = new Date(showtime.startTime.getTime() - this.openMinutesBefore * 60 * 1000);
+    if (now < opensAt) {
+      return this._reject('TOO_EARLY', { opensAt });
+    }
+    if (now >= showtime.endTime) {
+      return this._reject('SHOW_ENDED');
+    }
+
+    const checkedIn = await this.checkIn(booking, tickets.map(t => t._id), now);
+    if (!checkedIn) return this._reject('ALREADY_USED');
+
+    const admitted = new Set(tickets.map(t => t._id.toString()));
+    return {
+      accepted: true,
+      reason: 'ACCEPTED',
+      message: 'Check-in successful',
+      booking: {
+        _id: checkedIn._id,
+        bookingCode: checkedIn.bookingCode,
+        movie: booking.movieId && booking.movieId.title,
+        cinema: booking.cinemaId && booking.cinemaId.name,
+        startTime: showtime.startTime,
+        room: showtime.room && showtime.room.name,
+        status: checkedIn.status,
+        admittedSeats: checkedIn.seats
+          .filter(s => admitted.has(s._id.toString()))
+          .map(s => `${s.row}${s.number}`),
+        remainingSeats: bookingService.activeTickets(checkedIn).map(s => `${s.row}${s.number}`),
+        checkInTime: now
+      }
+    };
+  }
+
+  /**
+   * Check in tickets of a paid booking. The booking becomes used once
+   * no active ticket is left.
+   * @param {Array} ticketIds - Tickets to admit, defaults to every active ticket
+   * @returns {Object|null} Updated booking, null when nothing was left to check in
+   */
+  async checkIn(booking, ticketIds, now = new Date()) {
+    const ticketFilter = { 'ticket.status': { $in: ['active', null] } };
+    const match = { status: { $in: ['active', null] } };
+    if (ticketIds) {
+      ticketFilter['ticket._id'] = { $in: ticketIds };
+      match._id = { $in: ticketIds };
+    }
+
+    // Only one scanner can win when the same ticket is scanned twice at once
+    const updated = await Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'confirmed', seats: { $elemMatch: match } },
+      {
+        $set: {
+          'seats.$[ticket].status': 'used',
+          'seats.$[ticket].checkInTime': now
+        },
+        $min: { checkInTime: now }
+      },
+      { new: true, arrayFilters: [ticketFilter] }
+    );
+    if (!updated) return null;
+
+    if (bookingService.activeTickets(updated).length > 0) return updated;
+
+    return Booking.findOneAndUpdate(
+      { _id: booking._id, status: 'confirmed' },
+      { $set: { status: 'used' } },
+      { new: true }
+    );
+  }
+}
+
+export default new CheckInService();
@@ -107,6 +107,20 @@ class CrowdPredictionAI {
     }
   }
 
+  /**
+   * Expected demand for a movie at a start time that has no showtime yet,
+   * from movie popularity, time slot and day of week
+   * @returns {Number} Demand score from 0 to 1
+   */
+  estimateDemand(movie, startTime) {
+    const score =
+      this._analyzeMoviePopularity(movie) * 0.5 +
+      this._analyzeTimeSlot(startTime) * 0.3 +
+      this._analyzeDayOfWeek(startTime) * 0.2;
+
+    return Math.min(score, 1);
+  }
+
   /**
    * Analyze historical booking patterns
    */
@@ -0,0 +1,378 @@
+import Booking from '../models/Booking.model.js';
+import Showtime from '../models/Showtime.model.js';
+import Promotion from '../models/Promotion.model.js';
+import User from '../models/User.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import { withTransaction } from '../utils/transaction.js';
+import { generateBookingQR } from '../utils/qrcode.js';
+import { logger } from '../utils/logger.js';
+import seatHoldService from './seatHoldService.js';
+import seatMapService from './seatMapService.js';
+import seatRuleService from './seatRuleService.js';
+import pricingService from './pricingService.js';
+import promotionService from './promotionService.js';
+import paymentService from './paymentService.js';
+import refundService from './refundService.js';
+import bookingService from './bookingService.js';
+import posSessionService from './posSessionService.js';
+
+/**
+ * Exchange Service
+ * Moves a booking to other seats or another showing of the same movie at
+ * the same cinema, keeping its promotion and points and settling the price difference
+ */
+class ExchangeService {
+  _isStaff(user) {
+    return ['admin', 'staff'].includes(user.role);
+  }
+
+  /**
+   * The target showtime as the booking would see it: its own seats
+   * are not counted as taken, so they can be kept or swapped
+   */
+  _withoutOwnSeats(showtime, booking) {
+    const view = showtime.toObject();
+    view.bookedSeats = view.bookedSeats.filter(s =>
+      !s.bookingId || s.bookingId.toString() !== booking._id.toString()
+    );
+    return view;
+  }
+
+  async _recomputeDiscount(booking, totalAmount, combosTotal) {
+    if (!booking.discount || !booking.discount.amount) return 0;
+
+    const promotion = booking.discount.promotionId
+      ? await Promotion.findById(booking.discount.promotionId)
+      : null;
+
+    // The promotion was already redeemed for this booking, only its amount follows the new price
+    if (!promotion) return Math.min(booking.discount.amount, totalAmount);
+    return promotionService.calculateDiscount(promotion, { totalAmount, combosTotal }).discount;
+  }
+
+  /**
+   * Validate an exchange and price it without writing anything
+   * @param {Object} booking - Booking document
+   * @param {Object} params - { showtimeId, seats, holdId }
+   * @param {Object} user - Requesting user
+   * @returns {Object} Exchange plan
+   */
+  async prepare(booking, { showtimeId, seats, holdId }, user) {
+    if (!['confirmed', 'pending'].includes(booking.status)) {
+      throw new ErrorResponse(`Cannot exchange a booking that is ${booking.status}`, 400);
+    }
+
+    if (booking.groupBooking && booking.groupBooking.isGroup) {
+      throw new ErrorResponse('Group bookings cannot be exchanged', 400);
+    }
+
+    if (bookingService.activeTickets(booking).length !== booking.seats.length) {
+      throw new ErrorResponse('Bookings with used, cancelled or refunded tickets cannot be exchanged', 400);
+    }
+
+    const targetShowtimeId = showtimeId || booking.showtimeId;
+    const showtime = await Showtime.findById(targetShowtimeId).populate('cinemaId');
+    if (!showtime) throw new ErrorResponse('Showtime not found', 404);
+
+    if (showtime.movieId.toString() !== booking.movieId.toString()) {
+      throw new ErrorResponse('Bookings can only be moved to a showing of the same movie', 400);
+    }
+
+    // Policies, POS sessions, check-in and revenue all follow the booking's cinema
+    if (showtime.cinemaId._id.toString() !== booking.cinemaId.toString()) {
+      throw new ErrorResponse('Bookings can only be moved to a showing at the same cinema', 400);
+    }
+
+    if (!showtime.isActive || showtime.status === 'cancelled' || showtime.startTime <= new Date()) {
+      throw new ErrorResponse('Showtime is not open for booking', 400);
+    }
+
+    // Customers are held to the same cutoff as for cancellations
+    if (!this._isStaff(user)) {
+      const { canSelfCancel } = await refundService.quote(booking);
+      if (!canSelfCancel) {
+        throw new ErrorResponse('Booking can no longer be changed, please contact the cinema', 400);
+      }
+    }
+
+    let requestedSeats = seats;
+    if (holdId) {
+      const hold = seatHoldService.getActiveHold(showtime, holdId, this._isStaff(user) ? null : user.id);
+      if (!hold) throw new ErrorResponse('Seat hold has expired or does not exist', 400);
+      requestedSeats = hold;
+    }
+
+    seatHoldService.assertSeats(requestedSeats);
+
+    const cinema = showtime.cinemaId;
+    const view = this._withoutOwnSeats(showtime, booking);
+
+    const unavailable = seatHoldService.getUnavailableSeats(view, requestedSeats, { excludeHoldId: holdId });
+    if (unavailable.length > 0) {
+      throw new ErrorResponse(`Seats no longer available: ${unavailable.join(', ')}`, 409);
+    }
+
+    const unsellable = seatMapService.getUnsellableSeats(view, cinema, requestedSeats);
+    if (unsellable.length > 0) {
+      throw new ErrorResponse(`Seats cannot be sold: ${unsellable.join(', ')}`, 400);
+    }
+
+    seatRuleService.validate(view, cinema, requestedSeats);
+
+    const quote = await pricingService.quote(view, cinema, requestedSeats, []);
+    const combosTotal = booking.combos.reduce((sum, c) => sum + c.price * c.quantity, 0);
+    const totalAmount = quote.seatsTotal + combosTotal;
+    const discount = await this._recomputeDiscount(booking, totalAmount, combosTotal);
+    const finalAmount = Math.max(0, totalAmount - discount - (booking.loyaltyPointsUsed * 1000));
+
+    // Keep promotion bonus points, rescale the 1% earned on the amount paid
+    let loyaltyPointsEarned = booking.loyaltyPointsEarned;
+    if (booking.userId) {
+      const bonusPoints = Math.max(0, booking.loyaltyPointsEarned - Math.floor(booking.finalAmount * 0.01));
+      loyaltyPointsEarned = Math.floor(finalAmount * 0.01) + bonusPoints;
+    }
+
+    return {
+      showtime,
+      holdId,
+      seats: quote.seats.map(({ row, number, type, price }) => ({ row, number, type, price })),
+      totalAmount,
+      discount,
+      finalAmount,
+      previousAmount: booking.finalAmount,
+      priceDifference: finalAmount - booking.finalAmount,
+      loyaltyPointsEarned
+    };
+  }
+
+  /**
+   * Public summary of an exchange plan
+   */
+  summarize(plan) {
+    return {
+      showtimeId: plan.showtime._id,
+      startTime: plan.showtime.startTime,
+      seats: plan.seats,
+      totalAmount: plan.totalAmount,
+      discount: plan.discount,
+      finalAmount: plan.finalAmount,
+      previousAmount: plan.previousAmount,
+      priceDifference: plan.priceDifference
+    };
+  }
+
+  /**
+   * Decide how the price difference is settled. Extra money is verified
+   * before anything is written; refunds are sent after the commit.
+   */
+  async _planSettlement(booking, plan, { paymentIntentId }, user) {
+    const delta = plan.priceDifference;
+    const paid = booking.paymentStatus === 'completed';
+
+    if (!paid || delta === 0) {
+      return { method: 'none', status: 'completed' };
+    }
+
+    const paidOnline = booking.paymentDetails && booking.paymentDetails.provider;
+
+    if (delta > 0) {
+      if (paymentIntentId) {
+        const payment = await paymentService.verifyPayment(paymentIntentId);
+        if (!payment.succeeded || (payment.amount !== null && payment.amount < delta)) {
+          throw new ErrorResponse('Payment for the price difference has not been completed', 400);
+        }
+        await paymentService.assertUnusedPaymentFor(paymentIntentId, payment, booking._id);
+        return {
+          method: 'online',
+          status: 'completed',
+          transactionId: paymentIntentId,
+          provider: payment.provider,
+          amount: delta
+        };
+      }
+
+      if (this._isStaff(user)) {
+        return this._cashSettlement(booking, user);
+      }
+      throw new ErrorResponse(`An additional payment of ${delta} is required`, 402);
+    }
+
+    if (paidOnline) {
+      return {
+        method: 'online',
+        status: 'pending',
+        transactionId: booking.paymentDetails.transactionId,
+        provider: booking.paymentDetails.provider
+      };
+    }
+
+    if (!this._isStaff(user)) {
+      throw new ErrorResponse('Please visit the counter to collect the cash difference', 400);
+    }
+    return this._cashSettlement(booking, user);
+  }
+
+  // Cash changes hands at the counter, so it goes through the staff member's open session
+  async _cashSettlement(booking, user) {
+    const posSession = await posSessionService.requireOpenSession(user, booking.cinemaId);
+    return { method: 'cash', status: 'completed', posSessionId: posSession._id };
+  }
+
+  /**
+   * Move a booking to new seats and/or another showtime in one transaction
+   * @param {Object} booking - Booking document
+   * @param {Object} params - { showtimeId, seats, holdId, paymentIntentId, reason }
+   * @param {Object} user - Requesting user
+   * @returns {Object} Updated booking
+   */
+  async exchange(booking, params, user) {
+    const plan = await this.prepare(booking, params, user);
+    const settlement = await this._planSettlement(booking, plan, params, user);
+
+    const fromShowtimeId = booking.showtimeId;
+    const toShowtimeId = plan.showtime._id;
+    // A new QR so the old one no longer opens the door
+    const qrCode = await generateBookingQR({
+      _id: booking._id,
+      bookingCode: booking.bookingCode,
+      showtimeId: toShowtimeId,
+      cinemaId: plan.showtime.cinemaId._id
+    });
+
+    const exchangeEntry = {
+      fromShowtimeId,
+      toShowtimeId,
+      fromSeats: booking.seats.map(({ row, number, type, price }) => ({ row, number, type, price })),
+      toSeats: plan.seats,
+      previousAmount: plan.previousAmount,
+      newAmount: plan.finalAmount,
+      priceDifference: plan.priceDifference,
+      settlement,
+      reason: params.reason,
+      processedBy: { userId: user._id, role: user.role },
+      exchangedAt: new Date()
+    };
+
+    // The new seats are new tickets with their own codes
+    const tickets = await bookingService.issueTickets({
+      _id: booking._id,
+      bookingCode: booking.bookingCode,
+      showtimeId: toShowtimeId,
+      cinemaId: plan.showtime.cinemaId._id,
+      seats: plan.seats.map(seat => ({ ...seat }))
+    });
+
+    const changes = {
+      showtimeId: toShowtimeId,
+      seats: tickets,
+      totalAmount: plan.totalAmount,
+      finalAmount: plan.finalAmount,
+      loyaltyPointsEarned: plan.loyaltyPointsEarned,
+      qrCode
+    };
+    if (booking.discount && booking.discount.amount) {
+      changes['discount.amount'] = plan.discount;
+    }
+
+    const updated = await withTransaction(async (session) => {
+      // Optimistic lock: fail if the booking changed since it was read
+      const current = await Booking.findOneAndUpdate(
+        { _id: booking._id, updatedAt: booking.updatedAt, status: { $in: ['confirmed', 'pending'] } },
+        { $set: changes, $push: { exchanges: exchangeEntry } },
+        { new: true, session }
+      );
+
+      if (!current) {
+        throw new ErrorResponse('Booking was changed by another request, please try again', 409);
+      }
+
+      await bookingService.releaseSeats(booking, session);
+
+      const seatsReserved = await seatHoldService.bookSeats(toShowtimeId, plan.seats, booking._id, {
+        holdId: plan.holdId,
+        session
+      });
+      if (!seatsReserved) {
+        throw new ErrorResponse('Some seats are no longer available, please choose again', 409);
+      }
+
+      const pointsDelta = plan.loyaltyPointsEarned - booking.loyaltyPointsEarned;
+      if (booking.userId && pointsDelta !== 0) {
+        const customer = await User.findByIdAndUpdate(
+          booking.userId,
+          { $inc: { loyaltyPoints: pointsDelta } },
+          { new: true, session }
+        );
+        if (customer) {
+          customer.updateLoyaltyTier();
+          await customer.save({ session });
+        }
+      }
+
+      return current;
+    });
+
+    if (settlement.method === 'online' && settlement.status === 'pending') {
+      return this._refundDifference(updated._id, updated.exchanges[updated.exchanges.length - 1]);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Pay back the lower price of an exchange through the original provider
+   * @returns {Object} Updated booking
+   */
+  async _refundDifference(bookingId, entry) {
+    const { transactionId, provider } = entry.settlement;
+
+    let result;
+    try {
+      const { refundId } = await paymentService.refund(transactionId, -entry.priceDifference, provider);
+      result = { status: 'completed', refundId, error: null };
+    } catch (error) {
+      logger.error(`Exchange refund failed for booking ${bookingId}:`, error);
+      result = { status: 'failed', error: error.message };
+    }
+
+    const set = {};
+    Object.entries(result).forEach(([field, value]) => {
+      set[`exchanges.$.settlement.${field}`] = value;
+    });
+    return Booking.findOneAndUpdate({ _id: bookingId, 'exchanges._id': entry._id }, { $set: set }, { new: true });
+  }
+
+  hasFailedRefund(booking) {
+    return (booking.exchanges || []).some(e =>
+      e.settlement && e.settlement.method === 'online' && e.settlement.status === 'failed'
+    );
+  }
+
+  /**
+   * Send the failed refunds of a booking's exchanges again. Each one is
+   * claimed first so two retries cannot both pay it back.
+   * @returns {Object} Updated booking
+   */
+  async retryFailedRefunds(booking) {
+    const failed = booking.exchanges.filter(e =>
+      e.settlement && e.settlement.method === 'online' && e.settlement.status === 'failed'
+    );
+    if (failed.length === 0) {
+      throw new ErrorResponse('Booking has no failed exchange refund', 400);
+    }
+
+    let updated = booking;
+    for (const entry of failed) {
+      const claimed = await Booking.updateOne(
+        { _id: booking._id, exchanges: { $elemMatch: { _id: entry._id, 'settlement.status': 'failed' } } },
+        { $set: { 'exchanges.$.settlement.status': 'pending' } }
+      );
+      if (claimed.modifiedCount === 0) continue;
+
+      updated = await this._refundDifference(booking._id, entry);
+    }
+    return updated;
+  }
+}
+
+export default new ExchangeService();
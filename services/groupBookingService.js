@@ -0,0 +1,468 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Booking from '../models/Booking.model.js';
+import Showtime from '../models/Showtime.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import { withTransaction } from '../utils/transaction.js';
+import { generateBookingQR } from '../utils/qrcode.js';
+import { logger } from '../utils/logger.js';
+import seatHoldService from './seatHoldService.js';
+import seatMapService from './seatMapService.js';
+import seatRuleService from './seatRuleService.js';
+import pricingService from './pricingService.js';
+import paymentService from './paymentService.js';
+import bookingService from './bookingService.js';
+
+/**
+ * Group Booking Service
+ * The organizer reserves a block of seats, friends join through a share link,
+ * claim seats and pay their own share before a deadline
+ */
+class GroupBookingService {
+  constructor() {
+    this.defaultDeadlineHours = 24;
+    // Unpaid seats are settled at least this long before the show
+    this.minHoursBeforeShow = 1;
+    // Time the organizer gets to pay seats handed to them at the deadline
+    this.organizerChargeHours = 12;
+    this.sweepIntervalMs = 5 * 60 * 1000;
+  }
+
+  seatKey(seat) {
+    return `${seat.row}${seat.number}`;
+  }
+
+  _resolveDeadline(showtime, deadline) {
+    const latest = new Date(showtime.startTime.getTime() - this.minHoursBeforeShow * 60 * 60 * 1000);
+
+    if (!deadline) {
+      const byDefault = new Date(Date.now() + this.defaultDeadlineHours * 60 * 60 * 1000);
+      return byDefault < latest ? byDefault : latest;
+    }
+
+    const requested = new Date(deadline);
+    if (isNaN(requested) || requested <= new Date() || requested > latest) {
+      throw new ErrorResponse(`Deadline must be in the future and at least ${this.minHoursBeforeShow} hour before the showtime`, 400);
+    }
+    return requested;
+  }
+
+  _activeParticipants(booking) {
+    return booking.groupBooking.participants.filter(p => ['joined', 'paid'].includes(p.status));
+  }
+
+  _claimedKeys(booking, exceptUserId) {
+    const keys = new Set();
+    this._activeParticipants(booking)
+      .filter(p => !exceptUserId || !p.userId || p.userId.toString() !== exceptUserId.toString())
+      .forEach(p => p.seats.forEach(s => keys.add(this.seatKey(s))));
+    return keys;
+  }
+
+  // The organizer can have two entries after settlement: their own paid share
+  // and the unclaimed seats charged to them, so callers may ask for a status
+  _findParticipant(booking, userId, status) {
+    return booking.groupBooking.participants.find(p =>
+      p.userId && p.userId.toString() === userId.toString() &&
+      (status ? p.status === status : p.status !== 'released')
+    );
+  }
+
+  _chargeDeadline(showtime) {
+    const byDefault = new Date(Date.now() + this.organizerChargeHours * 60 * 60 * 1000);
+    const latest = new Date(showtime.startTime.getTime() - this.minHoursBeforeShow * 60 * 60 * 1000);
+    return byDefault < latest ? byDefault : latest;
+  }
+
+  _assertOpen(booking) {
+    if (!booking || !booking.groupBooking || !booking.groupBooking.isGroup) {
+      throw new ErrorResponse('Group booking not found', 404);
+    }
+    if (booking.status !== 'pending' || booking.groupBooking.settledAt) {
+      throw new ErrorResponse('Group booking is closed', 400);
+    }
+    if (booking.groupBooking.deadline <= new Date()) {
+      throw new ErrorResponse('Group booking deadline has passed', 400);
+    }
+  }
+
+  /**
+   * Whether a user may see a group booking: organizer, participant or share link holder
+   */
+  canAccess(booking, userId, token) {
+    const group = booking.groupBooking;
+    return (booking.userId && booking.userId.toString() === userId.toString()) ||
+      Boolean(this._findParticipant(booking, userId)) ||
+      (Boolean(token) && token === group.shareToken);
+  }
+
+  /**
+   * Reserve the seats of a group and create its pending booking
+   * @param {Object} organizer - User document of the organizer
+   * @param {Object} options - { showtimeId, seats, holdId, participants, deadline, unclaimedPolicy }
+   */
+  async create(organizer, { showtimeId, seats, holdId, participants = [], deadline, unclaimedPolicy }) {
+    const showtime = await Showtime.findById(showtimeId).populate('cinemaId');
+    if (!showtime) throw new ErrorResponse('Showtime not found', 404);
+
+    if (!showtime.isActive || showtime.status === 'cancelled' || showtime.startTime <= new Date()) {
+      throw new ErrorResponse('Showtime is not open for booking', 400);
+    }
+
+    let selectedSeats = seats;
+    if (holdId) {
+      const heldSeats = seatHoldService.getActiveHold(showtime, holdId, organizer._id);
+      if (!heldSeats) throw new ErrorResponse('Seat hold has expired or does not exist', 410);
+      selectedSeats = heldSeats.map(({ row, number, type }) => ({ row, number, type }));
+    }
+
+    if (!Array.isArray(selectedSeats) || selectedSeats.length < 2) {
+      throw new ErrorResponse('A group booking needs at least 2 seats', 400);
+    }
+
+    const unavailable = seatHoldService.getUnavailableSeats(showtime, selectedSeats, { excludeHoldId: holdId });
+    if (unavailable.length > 0) {
+      throw new ErrorResponse(`Seats no longer available: ${unavailable.join(', ')}`, 409);
+    }
+
+    const unsellable = seatMapService.getUnsellableSeats(showtime, showtime.cinemaId, selectedSeats);
+    if (unsellable.length > 0) {
+      throw new ErrorResponse(`Seats cannot be sold: ${unsellable.join(', ')}`, 400);
+    }
+
+    seatRuleService.validate(showtime, showtime.cinemaId, selectedSeats);
+
+    const quote = await pricingService.quote(showtime, showtime.cinemaId, selectedSeats, []);
+    const seatDetails = quote.seats.map(({ row, number, type, price }) => ({ row, number, type, price }));
+
+    const bookingId = new mongoose.Types.ObjectId();
+    const shareToken = crypto.randomBytes(16).toString('hex');
+
+    const bookingData = {
+      _id: bookingId,
+      bookingCode: `BK${Date.now()}${Math.floor(Math.random() * 1000)}`,
+      userId: organizer._id,
+      showtimeId,
+      movieId: showtime.movieId,
+      cinemaId: showtime.cinemaId._id,
+      seats: seatDetails,
+      totalAmount: quote.totalAmount,
+      finalAmount: quote.totalAmount,
+      paymentMethod: 'credit-card',
+      paymentStatus: 'pending',
+      status: 'pending',
+      bookingType: 'online',
+      bookedBy: {
+        userId: organizer._id,
+        role: organizer.role,
+        name: organizer.fullName || organizer.email
+      },
+      groupBooking: {
+        isGroup: true,
+        shareToken,
+        shareLink: `${process.env.FRONTEND_URL}/join-booking/${bookingId}?token=${shareToken}`,
+        organizerId: organizer._id,
+        deadline: this._resolveDeadline(showtime, deadline),
+        unclaimedPolicy: unclaimedPolicy || 'release',
+        participants: [
+          { userId: organizer._id, status: 'pending' },
+          ...participants
+            .filter(id => id && id.toString() !== organizer._id.toString())
+            .map(id => ({ userId: id, status: 'pending' }))
+        ]
+      }
+    };
+    bookingData.qrCode = await generateBookingQR(bookingData);
+    await bookingService.issueTickets(bookingData);
+
+    return withTransaction(async (session) => {
+      const seatsReserved = await seatHoldService.bookSeats(showtimeId, seatDetails, bookingId, { holdId, session });
+      if (!seatsReserved) {
+        throw new ErrorResponse('Some seats are no longer available, please choose again', 409);
+      }
+
+      const [booking] = await Booking.create([bookingData], { session });
+      return booking;
+    });
+  }
+
+  /**
+   * Claim seats of a group booking for the current user
+   * @param {String} bookingId - Group booking ID
+   * @param {String} userId - Joining user
+   * @param {String} token - Share token from the link
+   * @param {Array} seats - [{ row, number }]
+   */
+  async join(bookingId, userId, token, seats) {
+    if (!Array.isArray(seats) || seats.length === 0) {
+      throw new ErrorResponse('Please select at least one seat', 400);
+    }
+
+    // Concurrent joins on the same booking conflict and get retried by the transaction
+    return withTransaction(async (session) => {
+      const booking = await Booking.findById(bookingId).session(session);
+      this._assertOpen(booking);
+
+      if (!this.canAccess(booking, userId, token)) {
+        throw new ErrorResponse('Invalid share link', 403);
+      }
+
+      const groupSeats = new Map(booking.seats.map(s => [this.seatKey(s), s]));
+      const claimed = this._claimedKeys(booking, userId);
+      const requested = seats.map(s => this.seatKey(s));
+
+      const notInGroup = requested.filter(key => !groupSeats.has(key));
+      if (notInGroup.length > 0) {
+        throw new ErrorResponse(`Seats are not part of this group: ${notInGroup.join(', ')}`, 400);
+      }
+
+      const taken = requested.filter(key => claimed.has(key));
+      if (taken.length > 0) {
+        throw new ErrorResponse(`Seats already claimed: ${taken.join(', ')}`, 409);
+      }
+
+      let participant = this._findParticipant(booking, userId);
+      if (participant && participant.status === 'paid') {
+        throw new ErrorResponse('You have already paid for your seats', 400);
+      }
+      if (!participant) {
+        booking.groupBooking.participants.push({ userId });
+        participant = booking.groupBooking.participants[booking.groupBooking.participants.length - 1];
+      }
+
+      participant.seats = requested.map(key => {
+        const seat = groupSeats.get(key);
+        return { row: seat.row, number: seat.number };
+      });
+      participant.amount = requested.reduce((sum, key) => sum + groupSeats.get(key).price, 0);
+      participant.status = 'joined';
+      participant.joinedAt = new Date();
+
+      await booking.save({ session });
+      return { booking, participant };
+    });
+  }
+
+  /**
+   * Record a participant's payment for their share.
+   * The booking is confirmed once every seat is paid for.
+   */
+  async pay(bookingId, userId, paymentIntentId) {
+    const payment = await paymentService.verifyPayment(paymentIntentId);
+    if (!payment.succeeded) {
+      throw new ErrorResponse('Payment failed', 400);
+    }
+
+    return withTransaction(async (session) => {
+      const booking = await Booking.findById(bookingId).session(session);
+      if (!booking || !booking.groupBooking || !booking.groupBooking.isGroup) {
+        throw new ErrorResponse('Group booking not found', 404);
+      }
+      if (booking.status !== 'pending') {
+        throw new ErrorResponse('Group booking is closed', 400);
+      }
+
+      const group = booking.groupBooking;
+      const participant = this._findParticipant(booking, userId, 'joined');
+      if (!participant) {
+        throw new ErrorResponse('You have no seats waiting for payment in this group', 400);
+      }
+      // After settlement only the organizer's charged seats are open, until their own deadline
+      if (group.settledAt && !(group.chargeDeadline > new Date())) {
+        throw new ErrorResponse('The payment deadline for these seats has passed', 400);
+      }
+
+      await paymentService.assertUnusedPaymentFor(paymentIntentId, payment, booking._id, session);
+
+      if (payment.amount !== null && payment.amount < participant.amount) {
+        throw new ErrorResponse('Payment amount does not cover your share', 400);
+      }
+
+      participant.status = 'paid';
+      participant.paymentDetails = {
+        transactionId: paymentIntentId,
+        paymentTime: new Date(),
+        provider: payment.provider
+      };
+
+      const paidSeats = booking.groupBooking.participants
+        .filter(p => p.status === 'paid')
+        .reduce((count, p) => count + p.seats.length, 0);
+
+      if (paidSeats === booking.seats.length) {
+        booking.paymentStatus = 'completed';
+        booking.status = 'confirmed';
+        booking.paymentDetails = {
+          transactionId: booking.bookingCode,
+          paymentTime: new Date(),
+          provider: 'split'
+        };
+        booking.groupBooking.settledAt = new Date();
+      }
+
+      await booking.save({ session });
+      return booking;
+    });
+  }
+
+  /**
+   * Give back the seats nobody paid for; the booking keeps the paid ones,
+   * or expires when there are none
+   */
+  async _releaseUnpaidSeats(booking, session) {
+    const paidKeys = new Set();
+    booking.groupBooking.participants
+      .filter(p => p.status === 'paid')
+      .forEach(p => p.seats.forEach(s => paidKeys.add(this.seatKey(s))));
+
+    const unpaidSeats = booking.seats.filter(s => !paidKeys.has(this.seatKey(s)));
+    if (unpaidSeats.length > 0) {
+      await bookingService.releaseSeats(booking, session, unpaidSeats);
+
+      booking.seats = booking.seats.filter(s => paidKeys.has(this.seatKey(s)));
+      booking.totalAmount = booking.seats.reduce((sum, s) => sum + s.price, 0);
+      booking.finalAmount = booking.totalAmount;
+    }
+
+    if (booking.seats.length === 0) {
+      booking.status = 'expired';
+    } else {
+      booking.status = 'confirmed';
+      booking.paymentStatus = 'completed';
+    }
+  }
+
+  /**
+   * Apply the unclaimed-seat policy once the deadline has passed
+   */
+  async settle(bookingId) {
+    return withTransaction(async (session) => {
+      const booking = await Booking.findById(bookingId).session(session);
+      if (!booking || booking.status !== 'pending' || booking.groupBooking.settledAt) return null;
+
+      const group = booking.groupBooking;
+      const paidKeys = new Set();
+      group.participants
+        .filter(p => p.status === 'paid')
+        .forEach(p => p.seats.forEach(s => paidKeys.add(this.seatKey(s))));
+
+      const unpaidSeats = booking.seats.filter(s => !paidKeys.has(this.seatKey(s)));
+
+      // Claims that were never paid are dropped either way
+      group.participants
+        .filter(p => p.status !== 'paid')
+        .forEach(p => { p.status = 'released'; });
+
+      if (unpaidSeats.length > 0 && group.unclaimedPolicy === 'charge-organizer') {
+        // The organizer now owes the remaining seats and pays them like a participant,
+        // before a deadline of their own
+        const showtime = await Showtime.findById(booking.showtimeId).select('startTime').session(session);
+        group.participants.push({
+          userId: group.organizerId,
+          status: 'joined',
+          seats: unpaidSeats.map(s => ({ row: s.row, number: s.number })),
+          amount: unpaidSeats.reduce((sum, s) => sum + s.price, 0),
+          joinedAt: new Date()
+        });
+        group.chargeDeadline = this._chargeDeadline(showtime);
+      } else {
+        await this._releaseUnpaidSeats(booking, session);
+      }
+
+      group.settledAt = new Date();
+      await booking.save({ session });
+      return booking;
+    });
+  }
+
+  /**
+   * Release the seats charged to an organizer who did not pay them in time
+   */
+  async expireOrganizerCharge(bookingId) {
+    return withTransaction(async (session) => {
+      const booking = await Booking.findById(bookingId).session(session);
+      const group = booking && booking.groupBooking;
+      if (!group || booking.status !== 'pending' || !group.settledAt) return null;
+      if (group.chargeDeadline > new Date()) return null;
+
+      group.participants
+        .filter(p => p.status === 'joined')
+        .forEach(p => { p.status = 'released'; });
+      await this._releaseUnpaidSeats(booking, session);
+
+      await booking.save({ session });
+      return booking;
+    });
+  }
+
+  /**
+   * Settle every group booking whose deadline has passed and release
+   * organizer charges left unpaid past their own deadline
+   * @returns {Array} Settled bookings
+   */
+  async settleExpiredGroups() {
+    const expired = await Booking.find({
+      'groupBooking.isGroup': true,
+      'groupBooking.deadline': { $lte: new Date() },
+      'groupBooking.settledAt': null,
+      status: 'pending'
+    }).select('_id');
+
+    const settled = [];
+    for (const { _id } of expired) {
+      try {
+        const booking = await this.settle(_id);
+        if (booking) settled.push(booking);
+      } catch (error) {
+        logger.error(`Group booking settlement failed for ${_id}:`, error);
+      }
+    }
+
+    // Settled bookings still pending are waiting on the organizer's charge.
+    // Ones without a charge deadline were settled before it existed.
+    const unpaidCharges = await Booking.find({
+      'groupBooking.isGroup': true,
+      'groupBooking.settledAt': { $ne: null },
+      status: 'pending',
+      $or: [
+        { 'groupBooking.chargeDeadline': { $lte: new Date() } },
+        { 'groupBooking.chargeDeadline': null }
+      ]
+    }).select('_id');
+
+    for (const { _id } of unpaidCharges) {
+      try {
+        const booking = await this.expireOrganizerCharge(_id);
+        if (booking) settled.push(booking);
+      } catch (error) {
+        logger.error(`Organizer charge expiry failed for ${_id}:`, error);
+      }
+    }
+    return settled;
+  }
+
+  /**
+   * Settle group bookings past their deadline and tell clients; run by the job runner
+   * @returns {Array} Transitions for the job run
+   */
+  async sweepDeadlines(io) {
+    const settled = await this.settleExpiredGroups();
+    return settled.map(booking => {
+      io.to(`showtime-${booking.showtimeId}`).emit('booking-update', {
+        showtimeId: booking.showtimeId,
+        bookingId: booking._id,
+        status: booking.status
+      });
+      return {
+        model: 'Booking',
+        documentId: booking._id,
+        label: booking.bookingCode,
+        field: 'status',
+        from: 'pending',
+        to: booking.status
+      };
+    });
+  }
+}
+
+export default new GroupBookingService();
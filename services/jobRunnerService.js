@@ -0,0 +1,208 @@
+import JobRun from '../models/JobRun.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import { logger } from '../utils/logger.js';
+import lifecycleService from './lifecycleService.js';
+import seatHoldService from './seatHoldService.js';
+import bookingService from './bookingService.js';
+import groupBookingService from './groupBookingService.js';
+import waitlistService from './waitlistService.js';
+
+/**
+ * Job Runner Service
+ * Runs registered jobs on their interval inside the app process. Runs that
+ * changed something or failed are recorded; idle scheduled runs are only
+ * counted. Jobs must be safe to run twice: the running flag is per process.
+ */
+class JobRunnerService {
+  constructor() {
+    this.jobs = new Map();
+    this.tickMs = 10 * 1000;
+    this.runRetentionDays = 30;
+    this.maxStoredTransitions = 500;
+    this.timer = null;
+    // Socket.io server for jobs that notify clients, set on start
+    this.io = null;
+
+    this.register({
+      name: 'movie-status',
+      description: 'Move movies to now-showing on release and to ended after their end date',
+      intervalSeconds: 60 * 60,
+      run: now => lifecycleService.transitionMovies(now)
+    });
+    this.register({
+      name: 'showtime-status',
+      description: 'Move showtimes to ongoing when they start and to completed when they end',
+      intervalSeconds: 60,
+      run: now => lifecycleService.transitionShowtimes(now)
+    });
+    this.register({
+      name: 'voucher-expiry',
+      description: 'Deactivate voucher codes past their validity date',
+      intervalSeconds: 60 * 60,
+      run: now => lifecycleService.expireVouchers(now)
+    });
+    this.register({
+      name: 'seat-hold-expiry',
+      description: 'Release seat holds past their checkout window',
+      intervalSeconds: seatHoldService.sweepIntervalMs / 1000,
+      run: () => seatHoldService.sweepExpiredHolds(this.io)
+    });
+    this.register({
+      name: 'booking-expiry',
+      description: 'Expire online bookings left unpaid past the payment window',
+      intervalSeconds: bookingService.sweepIntervalMs / 1000,
+      run: () => bookingService.sweepUnpaidBookings(this.io)
+    });
+    this.register({
+      name: 'group-deadline',
+      description: 'Settle group bookings past their deadline and release unpaid organizer charges',
+      intervalSeconds: groupBookingService.sweepIntervalMs / 1000,
+      run: () => groupBookingService.sweepDeadlines(this.io)
+    });
+    this.register({
+      name: 'waitlist-offers',
+      description: 'Close lapsed waitlist offers and offer free seats to the next in line',
+      intervalSeconds: waitlistService.sweepIntervalMs / 1000,
+      run: () => waitlistService.sweepOffers(this.io)
+    });
+  }
+
+  /**
+   * @param {Object} job - { name, description, intervalSeconds, run(now) => transitions }
+   */
+  register(job) {
+    this.jobs.set(job.name, { ...job, running: false, nextRunAt: null, lastCheckedAt: null, idleRuns: 0 });
+  }
+
+  getJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) throw new ErrorResponse(`Job not found: ${name}`, 404);
+    return job;
+  }
+
+  describe(job, lastRun = null) {
+    return {
+      name: job.name,
+      description: job.description,
+      intervalSeconds: job.intervalSeconds,
+      running: job.running,
+      nextRunAt: job.nextRunAt,
+      // Scheduled runs that found nothing to do are not recorded
+      lastCheckedAt: job.lastCheckedAt,
+      idleRuns: job.idleRuns,
+      lastRun
+    };
+  }
+
+  /**
+   * All jobs with a summary of their last run
+   */
+  async list() {
+    const lastRuns = await JobRun.aggregate([
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: '$job', run: { $first: '$$ROOT' } } },
+      { $project: { 'run.transitions': 0 } }
+    ]);
+    const byJob = new Map(lastRuns.map(entry => [entry._id, entry.run]));
+
+    return [...this.jobs.values()].map(job => this.describe(job, byJob.get(job.name) || null));
+  }
+
+  async getLastRun(name) {
+    this.getJob(name);
+    return JobRun.findOne({ job: name }).sort({ startedAt: -1 }).populate('triggeredBy', 'fullName email');
+  }
+
+  async getRuns(name, { limit = 20 } = {}) {
+    this.getJob(name);
+    return JobRun.find({ job: name })
+      .select('-transitions')
+      .sort({ startedAt: -1 })
+      .limit(Math.min(Number(limit) || 20, 100));
+  }
+
+  /**
+   * Run a job now. A failing job is recorded as failed, not thrown, so the
+   * schedule keeps going. Manual runs are always recorded.
+   * @param {Object} options - { trigger: 'schedule' | 'manual', user }
+   * @returns {Object} JobRun document
+   */
+  async run(name, { trigger = 'schedule', user } = {}) {
+    const job = this.getJob(name);
+    if (job.running) {
+      throw new ErrorResponse(`Job ${name} is already running`, 409);
+    }
+
+    job.running = true;
+    try {
+      return await this._execute(job, trigger, user);
+    } finally {
+      job.running = false;
+      job.nextRunAt = new Date(Date.now() + job.intervalSeconds * 1000);
+    }
+  }
+
+  async _execute(job, trigger, user) {
+    const startedAt = new Date();
+    const run = new JobRun({
+      job: job.name,
+      trigger,
+      triggeredBy: user && user._id,
+      startedAt,
+      expiresAt: new Date(startedAt.getTime() + this.runRetentionDays * 24 * 60 * 60 * 1000)
+    });
+
+    try {
+      const transitions = await job.run(startedAt);
+      transitions.forEach(t => {
+        logger.info(`Job ${job.name}: ${t.model} ${t.documentId} (${t.label}) ${t.field} ${t.from} -> ${t.to}`);
+      });
+
+      run.status = 'succeeded';
+      run.transitionCount = transitions.length;
+      run.transitions = transitions.slice(0, this.maxStoredTransitions);
+    } catch (error) {
+      logger.error(`Job ${job.name} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - startedAt;
+    job.lastCheckedAt = run.finishedAt;
+
+    if (trigger === 'schedule' && run.status === 'succeeded' && run.transitionCount === 0) {
+      job.idleRuns++;
+      return run;
+    }
+
+    job.idleRuns = 0;
+    await run.save();
+    return run;
+  }
+
+  /**
+   * Check for due jobs every tick, starting right away. Due jobs run side by
+   * side so a slow one does not hold up the short sweeps.
+   * @param {Object} io - Socket.io server the sweeps notify clients through
+   */
+  start(io) {
+    if (this.timer) return;
+    this.io = io;
+
+    const tick = () => {
+      for (const job of this.jobs.values()) {
+        if (job.running || (job.nextRunAt && job.nextRunAt > new Date())) continue;
+        this.run(job.name).catch(error => {
+          logger.error(`Job Runner Error (${job.name}):`, error);
+        });
+      }
+    };
+
+    this.timer = setInterval(tick, this.tickMs);
+    this.timer.unref();
+    tick();
+  }
+}
+
+export default new JobRunnerService();
@@ -0,0 +1,119 @@
+import Movie from '../models/Movie.model.js';
+import Showtime from '../models/Showtime.model.js';
+import Promotion from '../models/Promotion.model.js';
+
+/**
+ * Lifecycle Service
+ * Date-driven status changes for movies, showtimes and vouchers.
+ * Each method returns the transitions it made.
+ */
+class LifecycleService {
+  constructor() {
+    // Documents handled per run; the next run picks up the rest
+    this.batchSize = 500;
+  }
+
+  /**
+   * Move movies to now-showing on their release date and to ended after their end date
+   * @returns {Array} [{ model, documentId, label, field, from, to }]
+   */
+  async transitionMovies(now = new Date()) {
+    // Only movies that updateStatus() will change, so rows it leaves alone
+    // (an end date before a future release) cannot fill every batch
+    const movies = await Movie.find({
+      $or: [
+        { status: 'coming-soon', releaseDate: { $lte: now } },
+        { status: { $ne: 'ended' }, releaseDate: { $lte: now }, endDate: { $lt: now } }
+      ]
+    })
+      .select('title status releaseDate endDate')
+      .sort({ _id: 1 })
+      .limit(this.batchSize);
+
+    const transitions = [];
+    for (const movie of movies) {
+      const from = movie.status;
+      movie.updateStatus();
+      if (movie.status === from) continue;
+
+      const updated = await Movie.updateOne({ _id: movie._id, status: from }, { $set: { status: movie.status } });
+      if (updated.modifiedCount === 0) continue;
+
+      transitions.push({
+        model: 'Movie',
+        documentId: movie._id,
+        label: movie.title,
+        field: 'status',
+        from,
+        to: movie.status
+      });
+    }
+    return transitions;
+  }
+
+  /**
+   * Move showtimes to ongoing once they start and to completed once they end.
+   * Cancelled showtimes are left alone.
+   */
+  async transitionShowtimes(now = new Date()) {
+    const showtimes = await Showtime.find({
+      $or: [
+        { status: 'scheduled', startTime: { $lte: now } },
+        { status: 'ongoing', endTime: { $lte: now } }
+      ]
+    })
+      .select('status startTime endTime room')
+      .sort({ startTime: 1 })
+      .limit(this.batchSize);
+
+    const transitions = [];
+    for (const showtime of showtimes) {
+      const from = showtime.status;
+      showtime.updateStatus();
+      if (showtime.status === from) continue;
+
+      // Guarded on the old status so a concurrent cancellation wins
+      const updated = await Showtime.updateOne(
+        { _id: showtime._id, status: from },
+        { $set: { status: showtime.status } }
+      );
+      if (updated.modifiedCount === 0) continue;
+
+      transitions.push({
+        model: 'Showtime',
+        documentId: showtime._id,
+        label: `${showtime.room && showtime.room.name} ${showtime.startTime.toISOString()}`,
+        field: 'status',
+        from,
+        to: showtime.status
+      });
+    }
+    return transitions;
+  }
+
+  /**
+   * Switch off voucher codes whose validity has ended
+   */
+  async expireVouchers(now = new Date()) {
+    const promotions = await Promotion.find({ isActive: true, validUntil: { $lt: now } })
+      .select('code')
+      .limit(this.batchSize);
+    if (promotions.length === 0) return [];
+
+    await Promotion.updateMany(
+      { _id: { $in: promotions.map(p => p._id) }, isActive: true },
+      { $set: { isActive: false } }
+    );
+
+    return promotions.map(promotion => ({
+      model: 'Promotion',
+      documentId: promotion._id,
+      label: promotion.code,
+      field: 'isActive',
+      from: 'true',
+      to: 'false'
+    }));
+  }
+}
+
+export default new LifecycleService();
@@ -0,0 +1,229 @@
+import mongoose from 'mongoose';
+import Movie from '../models/Movie.model.js';
+import Showtime from '../models/Showtime.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import scheduleService from './scheduleService.js';
+
+/**
+ * Movie Catalog Service
+ * Filtering, sorting and facet counts for the movie catalog
+ */
+class MovieCatalogService {
+  constructor() {
+    this.maxLimit = 50;
+
+    this.sorts = {
+      popularity: { ticketsSold: -1, viewCount: -1, _id: 1 },
+      rating: { 'rating.average': -1, 'rating.count': -1, _id: 1 },
+      release: { releaseDate: -1, _id: 1 },
+      'release-asc': { releaseDate: 1, _id: 1 },
+      title: { title: 1, _id: 1 },
+      newest: { createdAt: -1, _id: 1 }
+    };
+    // Field sorts the endpoint accepted before named sorts, e.g. '-createdAt'
+    this.sortFields = ['createdAt', 'releaseDate', 'title', 'duration', 'viewCount', 'ticketsSold', 'rating.average'];
+
+    // Facet name, the filter it belongs to and the movie field it counts
+    this.facets = [
+      { name: 'genres', filter: 'genre', field: 'genres', array: true },
+      { name: 'ageRatings', filter: 'ageRating', field: 'ageRating' },
+      { name: 'languages', filter: 'language', field: 'language' },
+      { name: 'subtitles', filter: 'subtitles', field: 'subtitles', array: true },
+      { name: 'countries', filter: 'country', field: 'country' },
+      { name: 'statuses', filter: 'status', field: 'status' }
+    ];
+
+    // Duration chips in minutes: under 90, 90-120, 120-150, 150 and over
+    this.durationBoundaries = [0, 90, 120, 150, 100000];
+  }
+
+  // 'Action,Drama' or ['Action', 'Drama'] to a list of values
+  _list(value) {
+    if (value === undefined || value === null || value === '') return [];
+    return [].concat(value)
+      .flatMap(item => String(item).split(','))
+      .map(item => item.trim())
+      .filter(Boolean);
+  }
+
+  _number(value, field) {
+    if (value === undefined || value === '') return undefined;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0) {
+      throw new ErrorResponse(`${field} must be a positive number`, 400);
+    }
+    return number;
+  }
+
+  _sort(value, hasText) {
+    const sort = value && String(value);
+    if (!sort) return hasText ? { score: -1, _id: 1 } : this.sorts.newest;
+    if (sort === 'relevance' && hasText) return { score: -1, _id: 1 };
+    if (this.sorts[sort]) return this.sorts[sort];
+
+    const field = sort.replace(/^-/, '');
+    if (!this.sortFields.includes(field)) {
+      throw new ErrorResponse(`Sort must be one of: ${Object.keys(this.sorts).join(', ')}`, 400);
+    }
+    return { [field]: sort.startsWith('-') ? -1 : 1, _id: 1 };
+  }
+
+  /**
+   * Movies with a showing at a cinema and/or on a local day.
+   * Without a date, any showing from now on counts.
+   */
+  async _moviesShowing({ cinemaId, date }) {
+    const filter = { isActive: true, status: { $ne: 'cancelled' } };
+    if (cinemaId) {
+      if (!mongoose.isValidObjectId(cinemaId)) throw new ErrorResponse('Invalid cinema', 400);
+      filter.cinemaId = cinemaId;
+    }
+
+    if (date) {
+      const day = scheduleService.parseDay(date, 'Date');
+      const dayStart = scheduleService.localTime(day, '00:00');
+      filter.startTime = {
+        $gte: new Date(Math.max(dayStart.getTime(), Date.now())),
+        $lt: new Date(dayStart.getTime() + 24 * 60 * 60 * 1000)
+      };
+    } else {
+      filter.startTime = { $gte: new Date() };
+    }
+
+    return Showtime.distinct('movieId', filter);
+  }
+
+  /**
+   * Filter clauses by filter name, so each facet can leave its own out
+   */
+  async _clauses(params) {
+    const clauses = {};
+
+    const valueFilters = {
+      status: 'status',
+      genre: 'genres',
+      ageRating: 'ageRating',
+      language: 'language',
+      subtitles: 'subtitles',
+      country: 'country'
+    };
+    Object.entries(valueFilters).forEach(([filter, field]) => {
+      const values = this._list(params[filter]);
+      if (values.length > 0) clauses[filter] = { [field]: { $in: values } };
+    });
+
+    const minDuration = this._number(params.minDuration, 'Minimum duration');
+    const maxDuration = this._number(params.maxDuration, 'Maximum duration');
+    if (minDuration !== undefined || maxDuration !== undefined) {
+      clauses.duration = { duration: {} };
+      if (minDuration !== undefined) clauses.duration.duration.$gte = minDuration;
+      if (maxDuration !== undefined) clauses.duration.duration.$lte = maxDuration;
+    }
+
+    if (params.releasedFrom || params.releasedTo) {
+      clauses.release = { releaseDate: {} };
+      if (params.releasedFrom) {
+        clauses.release.releaseDate.$gte = scheduleService.parseDay(params.releasedFrom, 'Released from');
+      }
+      if (params.releasedTo) {
+        const lastDay = scheduleService.parseDay(params.releasedTo, 'Released to');
+        clauses.release.releaseDate.$lt = new Date(lastDay.getTime() + 24 * 60 * 60 * 1000);
+      }
+    }
+
+    if (params.cinemaId || params.date) {
+      clauses.showtimes = { _id: { $in: await this._moviesShowing(params) } };
+    }
+
+    return clauses;
+  }
+
+  _match(clauses, except) {
+    const parts = Object.entries(clauses).filter(([name]) => name !== except).map(([, clause]) => clause);
+    return parts.length > 0 ? { $and: parts } : {};
+  }
+
+  // Duration chip with the minDuration/maxDuration values that select it
+  _durationBucket(lower, count) {
+    const index = this.durationBoundaries.indexOf(lower);
+    const upper = this.durationBoundaries[index + 1];
+    const last = index === this.durationBoundaries.length - 2;
+
+    let value = `${lower}-${upper}`;
+    if (index === 0) value = `<${upper}`;
+    if (last) value = `${lower}+`;
+
+    return { value, minDuration: lower, maxDuration: last ? null : upper - 1, count };
+  }
+
+  /**
+   * Browse the catalog
+   * @param {Object} params - Query string: q, status, genre, ageRating, language,
+   *   subtitles, country, minDuration, maxDuration, releasedFrom, releasedTo,
+   *   cinemaId, date, sort, page, limit
+   * @returns {Object} { movies, total, page, limit, facets }
+   */
+  async browse(params = {}) {
+    const page = Math.max(parseInt(params.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(params.limit) || 12, 1), this.maxLimit);
+    const q = params.q && String(params.q).trim();
+
+    const sort = this._sort(params.sort, Boolean(q));
+    const clauses = await this._clauses(params);
+
+    // $text has to be the first stage, so it applies to the facets too
+    const base = { isActive: true };
+    if (q) base.$text = { $search: q };
+
+    const facetStages = {
+      results: [
+        { $match: this._match(clauses) },
+        { $sort: sort },
+        { $skip: (page - 1) * limit },
+        { $limit: limit }
+      ],
+      total: [
+        { $match: this._match(clauses) },
+        { $count: 'count' }
+      ],
+      duration: [
+        { $match: this._match(clauses, 'duration') },
+        { $bucket: { groupBy: '$duration', boundaries: this.durationBoundaries, default: 'unknown', output: { count: { $sum: 1 } } } }
+      ]
+    };
+    this.facets.forEach(facet => {
+      facetStages[facet.name] = [
+        { $match: this._match(clauses, facet.filter) },
+        ...(facet.array ? [{ $unwind: `$${facet.field}` }] : []),
+        { $group: { _id: `$${facet.field}`, count: { $sum: 1 } } },
+        { $sort: { count: -1, _id: 1 } }
+      ];
+    });
+
+    const [result] = await Movie.aggregate([
+      { $match: base },
+      ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      { $facet: facetStages }
+    ]);
+
+    const facets = {};
+    this.facets.forEach(facet => {
+      facets[facet.name] = result[facet.name]
+        .filter(bucket => bucket._id !== null && bucket._id !== '')
+        .map(bucket => ({ value: bucket._id, count: bucket.count }));
+    });
+    facets.duration = result.duration
+      .filter(bucket => bucket._id !== 'unknown')
+      .map(bucket => this._durationBucket(bucket._id, bucket.count));
+
+    return {
+      movies: result.results,
+      total: result.total.length > 0 ? result.total[0].count : 0,
+      page,
+      limit,
+      facets
+    };
+  }
+}
+
+export default new MovieCatalogService();
@@ -0,0 +1,96 @@
+import Stripe from 'stripe';
+import Booking from '../models/Booking.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Payment Service
+ * Thin wrapper around the payment provider (Stripe, or mock payments in development)
+ */
+class PaymentService {
+  constructor() {
+    this.stripe = process.env.STRIPE_SECRET_KEY ? new Stripe(process.env.STRIPE_SECRET_KEY) : null;
+  }
+
+  _isMock(paymentIntentId) {
+    return process.env.NODE_ENV === 'development' && String(paymentIntentId).startsWith('pi_mock_');
+  }
+
+  /**
+   * Check whether a payment intent has been paid
+   * @param {String} paymentIntentId - Stripe payment intent ID
+   * @returns {Object} { succeeded, amount, provider, metadata }
+   */
+  async verifyPayment(paymentIntentId) {
+    if (!this.stripe) {
+      if (this._isMock(paymentIntentId)) {
+        logger.warn('Using mock payment confirmation for development.');
+        return { succeeded: true, amount: null, provider: 'mock', metadata: null };
+      }
+      throw new ErrorResponse('Payment service is not configured. Please contact support.', 500);
+    }
+
+    let paymentIntent;
+    try {
+      paymentIntent = await this.stripe.paymentIntents.retrieve(paymentIntentId);
+    } catch (error) {
+      logger.error('Stripe error:', error);
+      throw new ErrorResponse('Payment verification failed. Please try again or contact support.', 500);
+    }
+
+    return {
+      succeeded: paymentIntent.status === 'succeeded',
+      amount: paymentIntent.amount / 100, // Amounts are sent in cents
+      provider: 'stripe',
+      metadata: paymentIntent.metadata || {}
+    };
+  }
+
+  /**
+   * Reject a verified payment made for another booking, or one that already
+   * paid for a booking, a group share or an exchange
+   * @param {Object} payment - Result of verifyPayment
+   */
+  async assertUnusedPaymentFor(paymentIntentId, payment, bookingId, session) {
+    if (payment.metadata && payment.metadata.bookingId !== String(bookingId)) {
+      throw new ErrorResponse('This payment was made for another booking', 400);
+    }
+
+    const used = await Booking.exists({
+      $or: [
+        { 'paymentDetails.transactionId': paymentIntentId },
+        { 'groupBooking.participants.paymentDetails.transactionId': paymentIntentId },
+        { 'exchanges.settlement.transactionId': paymentIntentId }
+      ]
+    }).session(session || null);
+    if (used) {
+      throw new ErrorResponse('This payment has already been used', 400);
+    }
+  }
+
+  /**
+   * Refund (part of) a paid transaction through its provider
+   * @param {String} transactionId - Payment intent ID
+   * @param {Number} amount - Amount to refund
+   * @param {String} provider - 'stripe' or 'mock'
+   * @returns {Object} { refundId }
+   */
+  async refund(transactionId, amount, provider) {
+    if (provider === 'mock') {
+      return { refundId: `re_mock_${Date.now()}_${Math.random().toString(36).substr(2, 9)}` };
+    }
+
+    if (!this.stripe) {
+      throw new ErrorResponse('Payment service is not configured. Please contact support.', 500);
+    }
+
+    const refund = await this.stripe.refunds.create({
+      payment_intent: transactionId,
+      amount: Math.round(amount * 100) // Amounts are sent in cents
+    });
+
+    return { refundId: refund.id };
+  }
+}
+
+export default new PaymentService();
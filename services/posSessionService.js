@@ -0,0 +1,233 @@
+import PosSession from '../models/PosSession.model.js';
+import Booking from '../models/Booking.model.js';
+import Refund from '../models/Refund.model.js';
+import FnbSale from '../models/FnbSale.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import pricingService from './pricingService.js';
+
+/**
+ * POS Session Service
+ * Counter shifts: staff open a session with a cash float, counter sales
+ * and refunds are tied to it, and closing it reconciles the drawer
+ */
+class PosSessionService {
+  constructor() {
+    this.paymentMethods = ['cash', 'credit-card', 'debit-card', 'e-wallet', 'loyalty-points'];
+  }
+
+  _isAdmin(user) {
+    return user.role === 'admin';
+  }
+
+  /**
+   * Open a session for the user at their cinema (admins pick the cinema)
+   */
+  async open(user, { openingFloat, cinemaId }) {
+    const sessionCinemaId = user.role === 'staff' ? user.cinemaId : cinemaId;
+    if (!sessionCinemaId) {
+      throw new ErrorResponse('Please select the cinema of the counter', 400);
+    }
+
+    const float = Number(openingFloat);
+    if (!Number.isFinite(float) || float < 0) {
+      throw new ErrorResponse('Opening cash float must be a positive amount', 400);
+    }
+
+    try {
+      return await PosSession.create({
+        staffId: user._id,
+        cinemaId: sessionCinemaId,
+        openingFloat: float
+      });
+    } catch (error) {
+      // Unique index on open sessions per staff member
+      if (error.code === 11000) {
+        throw new ErrorResponse('You already have an open POS session', 400);
+      }
+      throw error;
+    }
+  }
+
+  async getOpenSession(staffId) {
+    return PosSession.findOne({ staffId, status: 'open' });
+  }
+
+  /**
+   * The user's open session, which must be at the given cinema
+   */
+  async requireOpenSession(user, cinemaId) {
+    const session = await this.getOpenSession(user._id);
+    if (!session) {
+      throw new ErrorResponse('Please open a POS session before selling at the counter', 400);
+    }
+    if (cinemaId && session.cinemaId.toString() !== cinemaId.toString()) {
+      throw new ErrorResponse('Your POS session is open at another cinema', 400);
+    }
+    return session;
+  }
+
+  /**
+   * Expected takings of a session by payment method
+   * @returns {Object} { methods, totalExpected, counts }
+   */
+  async summarize(session) {
+    const [bookings, fnbSales, refunds, exchanges] = await Promise.all([
+      Booking.aggregate([
+        { $match: { posSessionId: session._id } },
+        {
+          $group: {
+            _id: '$paymentMethod',
+            // The amount at sale; later exchange differences are counted where they were settled
+            amount: { $sum: { $subtract: ['$finalAmount', { $sum: '$exchanges.priceDifference' }] } },
+            count: { $sum: 1 },
+            tickets: { $sum: { $size: '$seats' } }
+          }
+        }
+      ]),
+      FnbSale.aggregate([
+        { $match: { posSessionId: session._id } },
+        { $group: { _id: '$paymentMethod', amount: { $sum: '$totalAmount' }, count: { $sum: 1 } } }
+      ]),
+      // Only refunds handed back at the counter leave the drawer
+      Refund.aggregate([
+        { $match: { posSessionId: session._id, method: 'cash' } },
+        { $group: { _id: '$paymentMethod', amount: { $sum: '$amount' }, count: { $sum: 1 } } }
+      ]),
+      // Cash differences of exchanges settled at the counter
+      Booking.aggregate([
+        { $match: { 'exchanges.settlement.posSessionId': session._id } },
+        { $unwind: '$exchanges' },
+        { $match: { 'exchanges.settlement.posSessionId': session._id } },
+        {
+          $group: {
+            _id: null,
+            collected: { $sum: { $max: ['$exchanges.priceDifference', 0] } },
+            paidBack: { $sum: { $max: [{ $multiply: ['$exchanges.priceDifference', -1] }, 0] } },
+            count: { $sum: 1 }
+          }
+        }
+      ])
+    ]);
+    const exchangeTotals = exchanges[0] || { collected: 0, paidBack: 0, count: 0 };
+
+    const amountFor = (rows, method) => rows
+      .filter(row => (row._id || 'cash') === method)
+      .reduce((sum, row) => sum + row.amount, 0);
+
+    const usedMethods = new Set(['cash', ...[...bookings, ...fnbSales, ...refunds].map(row => row._id || 'cash')]);
+    const methods = this.paymentMethods
+      .filter(method => usedMethods.has(method))
+      .map(method => {
+        const isCash = method === 'cash';
+        const sales = amountFor(bookings, method) + amountFor(fnbSales, method) + (isCash ? exchangeTotals.collected : 0);
+        const refunded = amountFor(refunds, method) + (isCash ? exchangeTotals.paidBack : 0);
+        return {
+          method,
+          sales,
+          refunds: refunded,
+          expected: (isCash ? session.openingFloat : 0) + sales - refunded
+        };
+      });
+
+    const sum = (rows, field) => rows.reduce((total, row) => total + row[field], 0);
+
+    return {
+      methods,
+      totalExpected: sum(methods, 'expected'),
+      bookingCount: sum(bookings, 'count'),
+      ticketCount: sum(bookings, 'tickets'),
+      fnbSaleCount: sum(fnbSales, 'count'),
+      refundCount: sum(refunds, 'count'),
+      exchangeCount: exchangeTotals.count
+    };
+  }
+
+  /**
+   * Close the user's open session and reconcile counted against expected amounts
+   * @param {Object} counted - Counted amount per payment method, cash is required
+   */
+  async close(user, { counted = {}, notes }) {
+    if (!Number.isFinite(Number(counted.cash))) {
+      throw new ErrorResponse('Please enter the counted cash in the drawer', 400);
+    }
+
+    // Close first so no new sale can join the session while it is counted
+    const session = await PosSession.findOneAndUpdate(
+      { staffId: user._id, status: 'open' },
+      { $set: { status: 'closed', closedAt: new Date(), notes } },
+      { new: true }
+    );
+    if (!session) {
+      throw new ErrorResponse('You have no open POS session', 400);
+    }
+
+    const summary = await this.summarize(session);
+
+    // Card and wallet totals default to the expected amount when not counted
+    const methods = summary.methods.map(row => {
+      const countedAmount = counted[row.method] !== undefined ? Number(counted[row.method]) : row.expected;
+      return { ...row, counted: countedAmount, difference: countedAmount - row.expected };
+    });
+
+    session.reconciliation = {
+      ...summary,
+      methods,
+      totalCounted: methods.reduce((sum, row) => sum + row.counted, 0),
+      totalDifference: methods.reduce((sum, row) => sum + row.difference, 0)
+    };
+    await session.save();
+
+    return session;
+  }
+
+  /**
+   * Admin sign-off of a closed session
+   */
+  async review(sessionId, admin, note) {
+    const session = await PosSession.findOneAndUpdate(
+      { _id: sessionId, status: 'closed' },
+      {
+        $set: {
+          status: 'reviewed',
+          review: { reviewedBy: admin._id, reviewedAt: new Date(), note }
+        }
+      },
+      { new: true }
+    );
+
+    if (!session) {
+      throw new ErrorResponse('Only closed POS sessions can be reviewed', 400);
+    }
+    return session;
+  }
+
+  /**
+   * Sell food & beverage at the counter within the user's open session
+   * @param {Object} sale - { items: [{ comboId, quantity }], paymentMethod }
+   */
+  async recordFnbSale(user, { items, paymentMethod = 'cash' }) {
+    const session = await this.requireOpenSession(user);
+
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new ErrorResponse('Please add at least one item', 400);
+    }
+
+    const pricedItems = await pricingService.quoteCombos(items);
+
+    return FnbSale.create({
+      posSessionId: session._id,
+      cinemaId: session.cinemaId,
+      staffId: user._id,
+      items: pricedItems.map(({ comboId, name, quantity, price }) => ({ comboId, name, quantity, price })),
+      totalAmount: pricedItems.reduce((sum, item) => sum + item.total, 0),
+      paymentMethod
+    });
+  }
+
+  canAccess(session, user) {
+    const staffId = session.staffId._id || session.staffId;
+    return this._isAdmin(user) || staffId.toString() === user._id.toString();
+  }
+}
+
+export default new PosSessionService();
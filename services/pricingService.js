@@ -0,0 +1,210 @@
+import Showtime from '../models/Showtime.model.js';
+import Combo from '../models/Combo.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+
+/**
+ * Pricing Service
+ * Computes ticket and combo prices on the server so clients
+ * can never decide what they pay
+ */
+class PricingService {
+  constructor() {
+    // Used when neither the showtime nor the cinema defines a price
+    this.defaultPrices = {
+      standard: 75000,
+      vip: 95000,
+      couple: 180000
+    };
+
+    // Per-seat surcharge by screen format
+    this.screenSurcharges = {
+      '2D': 0,
+      '3D': 20000,
+      IMAX: 50000,
+      '4DX': 70000
+    };
+
+    this.seatTypes = ['standard', 'vip', 'couple'];
+  }
+
+  _isWeekend(date) {
+    const day = new Date(date).getDay();
+    return day === 0 || day === 6;
+  }
+
+  _findScreen(showtime, cinema) {
+    if (!cinema || !cinema.screens || !showtime.screenId) return null;
+    return cinema.screens.id(showtime.screenId) || null;
+  }
+
+  // Layout snapshot of the showtime, or the live screen layout for older showtimes
+  _findLayout(showtime, cinema) {
+    if (showtime.seatLayout && showtime.seatLayout.length > 0) return showtime.seatLayout;
+    const screen = this._findScreen(showtime, cinema);
+    return (screen && screen.seats && screen.seats.layout) || [];
+  }
+
+  /**
+   * Screen format of a showtime: the type snapshotted when it was created,
+   * then the current screen, then the legacy room type
+   */
+  getScreenType(showtime, cinema) {
+    if (showtime.room && showtime.room.screenType) return showtime.room.screenType;
+
+    const screen = this._findScreen(showtime, cinema);
+    if (screen && screen.screenType) return screen.screenType;
+
+    const roomType = showtime.room && showtime.room.type;
+    if (roomType === 'imax') return 'IMAX';
+    if (roomType === '4dx') return '4DX';
+    return '2D';
+  }
+
+  /**
+   * Resolve the real seat type from the showtime's layout so a VIP seat
+   * cannot be bought at the standard price
+   */
+  _resolveSeatType(seat, layout) {
+    if (layout.length === 0) {
+      return seat.type || 'standard';
+    }
+
+    for (const row of layout) {
+      const match = row.find(s => s.row === String(seat.row) && s.number === Number(seat.number));
+      if (match) return match.type;
+    }
+    throw new ErrorResponse(`Seat ${seat.row}${seat.number} does not exist on this screen`, 400);
+  }
+
+  /**
+   * Base price for a seat type: showtime price first, then cinema price list
+   */
+  getBasePrice(seatType, showtime, cinema) {
+    if (showtime.price && showtime.price[seatType]) {
+      return showtime.price[seatType];
+    }
+
+    const dayType = this._isWeekend(showtime.startTime) ? 'weekend' : 'weekday';
+    const listed = cinema && cinema.priceList && cinema.priceList[seatType];
+    if (listed && listed[dayType]) {
+      return listed[dayType];
+    }
+
+    return this.defaultPrices[seatType];
+  }
+
+  /**
+   * Special price discount for one seat.
+   * specialPrice.discount up to 100 is a percentage, above that a fixed amount.
+   */
+  _getSpecialDiscount(price, showtime) {
+    const special = showtime.specialPrice;
+    if (!special || !special.isActive || !special.discount) return 0;
+
+    const discount = special.discount <= 100
+      ? Math.round(price * special.discount / 100)
+      : special.discount;
+    return Math.min(discount, price);
+  }
+
+  /**
+   * Itemized price of one seat of the given type
+   * @returns {Object} { basePrice, surcharge, specialDiscount, price }
+   */
+  priceSeat(seatType, showtime, cinema) {
+    const basePrice = this.getBasePrice(seatType, showtime, cinema);
+    const surcharge = this.screenSurcharges[this.getScreenType(showtime, cinema)] || 0;
+    const specialDiscount = this._getSpecialDiscount(basePrice + surcharge, showtime);
+
+    return {
+      basePrice,
+      surcharge,
+      specialDiscount,
+      price: basePrice + surcharge - specialDiscount
+    };
+  }
+
+  /**
+   * Price combos from the Combo collection, ignoring any client price
+   */
+  async quoteCombos(combos = []) {
+    if (combos.length === 0) return [];
+
+    const comboIds = combos.map(c => c.comboId || c._id);
+    const comboDocs = await Combo.find({ _id: { $in: comboIds }, isAvailable: true });
+
+    return combos.map((item, index) => {
+      const combo = comboDocs.find(c => c._id.toString() === String(comboIds[index]));
+      if (!combo) {
+        throw new ErrorResponse(`Combo ${comboIds[index]} is not available`, 400);
+      }
+
+      const quantity = Number(item.quantity);
+      if (!Number.isInteger(quantity) || quantity < 1) {
+        throw new ErrorResponse(`Invalid quantity for combo ${combo.name}`, 400);
+      }
+
+      return {
+        comboId: combo._id,
+        name: combo.name,
+        quantity,
+        price: combo.price,
+        total: combo.price * quantity
+      };
+    });
+  }
+
+  /**
+   * Build an itemized quote for seats and combos of a showtime
+   * @param {Object} showtime - Showtime document
+   * @param {Object} cinema - Cinema document of the showtime
+   * @param {Array} seats - [{ row, number, type }]
+   * @param {Array} combos - [{ comboId, quantity }]
+   * @returns {Object} Itemized quote
+   */
+  async quote(showtime, cinema, seats, combos) {
+    const layout = this._findLayout(showtime, cinema);
+    const screenType = this.getScreenType(showtime, cinema);
+
+    const seatItems = (seats || []).map(seat => {
+      const type = this._resolveSeatType(seat, layout);
+      if (!this.seatTypes.includes(type)) {
+        throw new ErrorResponse(`Invalid seat type: ${type}`, 400);
+      }
+
+      return {
+        row: String(seat.row),
+        number: Number(seat.number),
+        type,
+        ...this.priceSeat(type, showtime, cinema)
+      };
+    });
+
+    const comboItems = await this.quoteCombos(combos || []);
+
+    const seatsTotal = seatItems.reduce((sum, s) => sum + s.price, 0);
+    const combosTotal = comboItems.reduce((sum, c) => sum + c.total, 0);
+
+    return {
+      screenType,
+      dayType: this._isWeekend(showtime.startTime) ? 'weekend' : 'weekday',
+      seats: seatItems,
+      combos: comboItems,
+      seatsTotal,
+      combosTotal,
+      totalAmount: seatsTotal + combosTotal
+    };
+  }
+
+  /**
+   * Load the showtime and its cinema, then quote
+   */
+  async quoteForShowtime(showtimeId, seats, combos) {
+    const showtime = await Showtime.findById(showtimeId).populate('cinemaId');
+    if (!showtime) throw new ErrorResponse('Showtime not found', 404);
+
+    return this.quote(showtime, showtime.cinemaId, seats, combos);
+  }
+}
+
+export default new PricingService();
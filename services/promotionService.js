@@ -0,0 +1,201 @@
+import Promotion from '../models/Promotion.model.js';
+import PromotionRedemption from '../models/PromotionRedemption.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+
+/**
+ * Promotion Service
+ * Validates promotion codes against their rules and tracks usage
+ */
+class PromotionService {
+  constructor() {
+    this.dayNames = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+  }
+
+  _toId(value) {
+    return value && value._id ? value._id : value;
+  }
+
+  _includesId(list, id) {
+    return list.some(item => item.toString() === String(this._toId(id)));
+  }
+
+  _toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + (minutes || 0);
+  }
+
+  /**
+   * Whether a date falls in one of the "HH:mm" ranges (ranges may cross midnight)
+   */
+  _inTimeRanges(date, ranges) {
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    return ranges.some(range => {
+      const start = this._toMinutes(range.start);
+      const end = this._toMinutes(range.end);
+      return start <= end
+        ? minutes >= start && minutes <= end
+        : minutes >= start || minutes <= end;
+    });
+  }
+
+  /**
+   * Compute the money discount and bonus loyalty points of a promotion
+   */
+  calculateDiscount(promotion, { totalAmount, combosTotal = 0 }) {
+    let discount = 0;
+    let bonusPoints = 0;
+
+    if (promotion.type === 'percentage') {
+      discount = (totalAmount * promotion.value) / 100;
+    } else if (promotion.type === 'fixed-amount') {
+      discount = promotion.value;
+    } else if (promotion.type === 'combo-deal') {
+      discount = (combosTotal * promotion.value) / 100;
+    } else if (promotion.type === 'loyalty-bonus') {
+      bonusPoints = promotion.value;
+    }
+
+    if (promotion.maxDiscountAmount) {
+      discount = Math.min(discount, promotion.maxDiscountAmount);
+    }
+
+    return {
+      discount: Math.round(Math.min(discount, totalAmount)),
+      bonusPoints
+    };
+  }
+
+  /**
+   * Check every rule of a promotion code and compute its discount
+   * @param {String} code - Promotion code
+   * @param {Object} context - { showtime, userId, userTier, totalAmount, combosTotal }
+   * @returns {Object} { promotion, discount, bonusPoints }
+   */
+  async evaluate(code, { showtime, userId, userTier = 'bronze', totalAmount, combosTotal }) {
+    const promotion = await Promotion.findOne({
+      code: String(code).toUpperCase(),
+      isActive: true
+    });
+
+    if (!promotion) {
+      throw new ErrorResponse('Invalid promotion code', 404);
+    }
+
+    if (!promotion.isValid()) {
+      throw new ErrorResponse('Promotion is no longer valid', 400);
+    }
+
+    if (totalAmount < promotion.minPurchaseAmount) {
+      throw new ErrorResponse(`Minimum purchase amount is ${promotion.minPurchaseAmount}`, 400);
+    }
+
+    const { movies, cinemas, showtimes, userTiers, days, timeRanges } = promotion.applicableFor;
+
+    if (showtime) {
+      if (movies.length > 0 && !this._includesId(movies, showtime.movieId)) {
+        throw new ErrorResponse('Promotion not applicable for this movie', 400);
+      }
+
+      if (cinemas.length > 0 && !this._includesId(cinemas, showtime.cinemaId)) {
+        throw new ErrorResponse('Promotion not applicable for this cinema', 400);
+      }
+
+      if (showtimes.length > 0 && !this._includesId(showtimes, showtime._id)) {
+        throw new ErrorResponse('Promotion not applicable for this showtime', 400);
+      }
+
+      const startTime = new Date(showtime.startTime);
+      if (days.length > 0 && !days.includes(this.dayNames[startTime.getDay()])) {
+        throw new ErrorResponse('Promotion not applicable on this day', 400);
+      }
+
+      if (timeRanges.length > 0 && !this._inTimeRanges(startTime, timeRanges)) {
+        throw new ErrorResponse('Promotion not applicable at this time', 400);
+      }
+    }
+
+    if (userTiers.length > 0 && !userTiers.includes(userTier)) {
+      throw new ErrorResponse('Promotion not available for your membership tier', 400);
+    }
+
+    if (userId && promotion.usageLimit && promotion.usageLimit.perUser) {
+      const redemption = await PromotionRedemption.findOne({ promotionId: promotion._id, userId });
+      if (redemption && redemption.count >= promotion.usageLimit.perUser) {
+        throw new ErrorResponse('You have already used this promotion the maximum number of times', 400);
+      }
+    }
+
+    return {
+      promotion,
+      ...this.calculateDiscount(promotion, { totalAmount, combosTotal })
+    };
+  }
+
+  /**
+   * Atomically count a use of the promotion for a booking.
+   * Throws when the total or per-user limit was reached concurrently.
+   */
+  async redeem(promotion, userId, bookingId, session) {
+    const updated = await Promotion.findOneAndUpdate(
+      {
+        _id: promotion._id,
+        $or: [
+          { 'usageLimit.total': null },
+          { 'usageLimit.total': 0 },
+          { $expr: { $lt: ['$usageCount', '$usageLimit.total'] } }
+        ]
+      },
+      { $inc: { usageCount: 1 } },
+      { new: true, session }
+    );
+
+    if (!updated) {
+      throw new ErrorResponse('Promotion usage limit has been reached', 400);
+    }
+
+    // Walk-in customers have no account to track per-user usage
+    if (!userId) return;
+
+    const perUser = promotion.usageLimit && promotion.usageLimit.perUser;
+    const filter = { promotionId: promotion._id, userId };
+    if (perUser) filter.count = { $lt: perUser };
+
+    try {
+      await PromotionRedemption.findOneAndUpdate(
+        filter,
+        { $inc: { count: 1 }, $push: { bookings: bookingId } },
+        { upsert: true, session }
+      );
+    } catch (error) {
+      // The upsert collides with the existing record once the limit is reached
+      if (error.code === 11000) {
+        throw new ErrorResponse('You have already used this promotion the maximum number of times', 400);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Give back the promotion usage of a cancelled booking
+   */
+  async revert(booking, session) {
+    const promotionId = booking.discount && booking.discount.promotionId;
+    if (!promotionId) return;
+
+    await Promotion.updateOne(
+      { _id: promotionId, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1 } },
+      { session }
+    );
+
+    if (booking.userId) {
+      await PromotionRedemption.updateOne(
+        { promotionId, userId: booking.userId, bookings: booking._id },
+        { $inc: { count: -1 }, $pull: { bookings: booking._id } },
+        { session }
+      );
+    }
+  }
+}
+
+export default new PromotionService();
@@ -0,0 +1,458 @@
+import Showtime from '../models/Showtime.model.js';
+import RefundPolicy from '../models/RefundPolicy.model.js';
+import Refund from '../models/Refund.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import { withTransaction } from '../utils/transaction.js';
+import { logger } from '../utils/logger.js';
+import bookingService from './bookingService.js';
+import paymentService from './paymentService.js';
+import posSessionService from './posSessionService.js';
+
+/**
+ * Refund Service
+ * Computes cancellation refunds from per-cinema / per-movie policies
+ * and pays them back through the original payment provider
+ */
+class RefundService {
+  constructor() {
+    // Used when no policy is configured for the booking
+    this.defaultPolicy = {
+      name: 'Default',
+      tiers: [
+        { minHoursBefore: 24, refundPercent: 100 },
+        { minHoursBefore: 2, refundPercent: 50 }
+      ],
+      minHoursToCancel: 2,
+      fee: { fixed: 0, percent: 0 },
+      refundCombos: true,
+      restoreUsedPoints: true,
+      revokeEarnedPoints: true
+    };
+
+    // The cinema called the show off: everything paid comes back, whenever it is
+    this.showtimeCancelledPolicy = {
+      name: 'Showtime cancelled',
+      tiers: [{ minHoursBefore: -Infinity, refundPercent: 100 }],
+      minHoursToCancel: -Infinity,
+      fee: { fixed: 0, percent: 0 },
+      refundCombos: true,
+      restoreUsedPoints: true,
+      revokeEarnedPoints: true
+    };
+  }
+
+  _isGroup(booking) {
+    return Boolean(booking.groupBooking && booking.groupBooking.isGroup);
+  }
+
+  _paidParticipants(booking) {
+    return this._isGroup(booking)
+      ? booking.groupBooking.participants.filter(p => p.status === 'paid' && p.paymentDetails)
+      : [];
+  }
+
+  /**
+   * Money received for a booking. A group still collecting payments
+   * has only received its paid participants' shares.
+   */
+  _paidAmount(booking) {
+    if (booking.paymentStatus === 'completed') return booking.finalAmount;
+    return this._paidParticipants(booking).reduce((sum, p) => sum + p.amount, 0);
+  }
+
+  /**
+   * Most specific active policy: movie + cinema, then movie, then cinema, then global.
+   * Of two active policies with the same scope the last updated one applies.
+   */
+  async resolvePolicy(booking) {
+    const policies = await RefundPolicy.find({
+      isActive: true,
+      cinemaId: { $in: [booking.cinemaId, null] },
+      movieId: { $in: [booking.movieId, null] }
+    }).sort({ updatedAt: -1, _id: -1 });
+
+    // Array sort is stable, so the newest stays first within a scope
+    const specificity = p => (p.movieId ? 2 : 0) + (p.cinemaId ? 1 : 0);
+    policies.sort((a, b) => specificity(b) - specificity(a));
+
+    return policies[0] || this.defaultPolicy;
+  }
+
+  /**
+   * Work out how much of a booking is refunded under a policy
+   * @param {Object} options - { now, tickets } only refund these tickets instead of the whole booking
+   * @returns {Object} Itemized refund calculation
+   */
+  calculate(booking, showtime, policy, { now = new Date(), tickets } = {}) {
+    const hoursBeforeShowtime = (new Date(showtime.startTime) - now) / (1000 * 60 * 60);
+
+    const tier = [...policy.tiers]
+      .sort((a, b) => b.minHoursBefore - a.minHoursBefore)
+      .find(t => hoursBeforeShowtime >= t.minHoursBefore);
+    const refundPercent = tier ? tier.refundPercent : 0;
+
+    // Only money actually paid can be refunded; discounts are spread over every item by price
+    const paid = this._paidAmount(booking);
+    const paidRatio = booking.totalAmount > 0 ? paid / booking.totalAmount : 0;
+
+    const partial = Boolean(tickets);
+    const targets = tickets || bookingService.activeTickets(booking);
+    const ticketsPrice = targets.reduce((sum, s) => sum + (s.price || 0), 0);
+    const ticketsPaid = Math.round(ticketsPrice * paidRatio);
+
+    // Combos are only given back when the whole booking is cancelled
+    const seatsTotal = booking.seats.reduce((sum, s) => sum + (s.price || 0), 0);
+    const combosPaid = partial ? 0 : Math.round((booking.totalAmount - seatsTotal) * paidRatio);
+
+    const refundable = ticketsPaid + (policy.refundCombos ? combosPaid : 0);
+    const gross = Math.round(refundable * refundPercent / 100);
+    const fee = gross > 0
+      ? Math.min(gross, Math.round((policy.fee.fixed || 0) + gross * (policy.fee.percent || 0) / 100))
+      : 0;
+    const amount = gross - fee;
+
+    // Split the tickets' part of the refund by price; the last ticket takes the rounding
+    const ticketsAmount = refundable > 0 ? Math.round(amount * ticketsPaid / refundable) : 0;
+    let remaining = ticketsAmount;
+    const ticketRefunds = targets.map((ticket, index) => {
+      const share = index === targets.length - 1
+        ? remaining
+        : ticketsPrice > 0 ? Math.round(ticketsAmount * (ticket.price || 0) / ticketsPrice) : 0;
+      remaining -= share;
+      return { ticketId: ticket._id, row: ticket.row, number: ticket.number, amount: share };
+    });
+
+    return {
+      policyId: policy._id,
+      policyName: policy.name,
+      hoursBeforeShowtime: Number(hoursBeforeShowtime.toFixed(2)),
+      refundPercent,
+      paidAmount: paid,
+      refundableAmount: refundable,
+      fee,
+      amount,
+      tickets: ticketRefunds,
+      canSelfCancel: hoursBeforeShowtime >= policy.minHoursToCancel,
+      restoreUsedPoints: policy.restoreUsedPoints,
+      revokeEarnedPoints: policy.revokeEarnedPoints
+    };
+  }
+
+  /**
+   * Preview the refund of a booking, or of some of its tickets, if cancelled now
+   * @param {Array} ticketIds - Optional ticket IDs, defaults to the whole booking
+   * @param {Object} policy - Optional policy to apply instead of the configured one
+   */
+  async quote(booking, ticketIds, policy) {
+    const showtime = await Showtime.findById(booking.showtimeId);
+    if (!showtime) throw new ErrorResponse('Showtime not found', 404);
+
+    policy = policy || await this.resolvePolicy(booking);
+    const tickets = ticketIds ? this._findActiveTickets(booking, ticketIds) : undefined;
+    return this.calculate(booking, showtime, policy, { tickets });
+  }
+
+  _findActiveTickets(booking, ticketIds) {
+    if (!Array.isArray(ticketIds) || ticketIds.length === 0) {
+      throw new ErrorResponse('Please select at least one ticket', 400);
+    }
+
+    const active = bookingService.activeTickets(booking);
+    return [...new Set(ticketIds.map(String))].map(id => {
+      const ticket = active.find(s => s._id.toString() === id);
+      if (!ticket) {
+        throw new ErrorResponse(`Ticket ${id} does not exist or is no longer active`, 400);
+      }
+      return ticket;
+    });
+  }
+
+  /**
+   * Online payments behind a booking and what each can still give back:
+   * the original payment less exchange refunds sent to it, and the extra
+   * payment of every exchange to a dearer booking
+   */
+  _paymentSources(booking) {
+    const { transactionId, provider } = booking.paymentDetails;
+    const exchanges = booking.exchanges || [];
+    const original = {
+      transactionId,
+      provider,
+      amount: exchanges.reduce((sum, e) => sum - (e.priceDifference || 0), booking.finalAmount)
+    };
+    const sources = [original];
+
+    exchanges.forEach(e => {
+      const settlement = e.settlement;
+      if (!settlement || settlement.method !== 'online') return;
+
+      if (e.priceDifference > 0 && settlement.transactionId !== transactionId) {
+        sources.push({ transactionId: settlement.transactionId, provider: settlement.provider, amount: e.priceDifference });
+      } else if (e.priceDifference < 0 && settlement.status === 'completed') {
+        original.amount += e.priceDifference;
+      }
+    });
+
+    return sources.filter(source => source.amount > 0);
+  }
+
+  /**
+   * Provider transactions to refund: one per payment of a normal booking,
+   * one per paying participant for a group booking. The amount is split in
+   * proportion to what each payment took, so none is refunded beyond it.
+   */
+  _providerTargets(booking, amount) {
+    const participants = this._paidParticipants(booking);
+    if (participants.length > 0) {
+      const paid = this._paidAmount(booking);
+      const ratio = paid > 0 ? amount / paid : 0;
+      return participants
+        .map(p => ({
+          transactionId: p.paymentDetails.transactionId,
+          provider: p.paymentDetails.provider,
+          amount: Math.round(p.amount * ratio)
+        }));
+    }
+
+    const sources = this._paymentSources(booking);
+    if (sources.length <= 1) {
+      return [{
+        transactionId: booking.paymentDetails.transactionId,
+        provider: booking.paymentDetails.provider,
+        amount
+      }];
+    }
+
+    const total = sources.reduce((sum, source) => sum + source.amount, 0);
+    const ratio = Math.min(amount / total, 1);
+    const targets = sources.map(source => ({ ...source, amount: Math.round(source.amount * ratio) }));
+    // Rounding leftovers go to the original payment
+    targets[0].amount += Math.min(amount, total) - targets.reduce((sum, t) => sum + t.amount, 0);
+    return targets;
+  }
+
+  _isPaidOnline(booking) {
+    if (this._paidParticipants(booking).length > 0) return true;
+    return booking.paymentStatus === 'completed' &&
+      booking.paymentDetails && booking.paymentDetails.provider;
+  }
+
+  /**
+   * Record the refund of a cancellation inside its transaction
+   */
+  async _createRefund(booking, calculation, { reason, processedBy, posSessionId, partial = false }, session) {
+    const method = calculation.amount === 0
+      ? 'none'
+      : this._isPaidOnline(booking) ? 'online' : 'cash';
+
+    const [refund] = await Refund.create([{
+      bookingId: booking._id,
+      userId: booking.userId,
+      cinemaId: booking.cinemaId,
+      policyId: calculation.policyId,
+      policyName: calculation.policyName,
+      tickets: partial ? calculation.tickets : [],
+      amount: calculation.amount,
+      refundPercent: calculation.refundPercent,
+      fee: calculation.fee,
+      hoursBeforeShowtime: calculation.hoursBeforeShowtime,
+      method,
+      paymentMethod: booking.paymentMethod,
+      posSessionId: method === 'cash' ? posSessionId : undefined,
+      // Cash is only handed back when a counter session pays it out
+      status: method === 'none' || (method === 'cash' && posSessionId) ? 'completed' : 'pending',
+      providerRefunds: method === 'online' ? this._providerTargets(booking, calculation.amount) : [],
+      reason,
+      processedBy: processedBy ? { userId: processedBy._id, role: processedBy.role } : undefined,
+      processedAt: method === 'none' || (method === 'cash' && posSessionId) ? new Date() : undefined
+    }], { session });
+
+    return refund;
+  }
+
+  /**
+   * Cancel a booking and record its refund under the applicable policy
+   * @param {Object} booking - Booking document
+   * @param {Object} options - { reason, processedBy, enforceCutoff, posSessionId, policy }
+   * @returns {Object} { booking, refund }
+   */
+  async cancelWithRefund(booking, { reason, processedBy, enforceCutoff = true, posSessionId, policy }) {
+    const calculation = await this.quote(booking, undefined, policy);
+
+    if (enforceCutoff && !calculation.canSelfCancel) {
+      throw new ErrorResponse('Booking can no longer be cancelled, please contact the cinema', 400);
+    }
+
+    const result = await withTransaction(async (session) => {
+      const updates = { cancellationReason: reason };
+      if (calculation.amount > 0) {
+        // Tickets refunded earlier are part of the total
+        updates.refundAmount = (booking.refundAmount || 0) + calculation.amount;
+        updates.refundTime = new Date();
+        // A partial refund keeps the payment completed; revenue subtracts refundAmount
+        if (updates.refundAmount >= calculation.paidAmount) {
+          updates.paymentStatus = 'refunded';
+        }
+      }
+
+      const cancelledBooking = await bookingService.cancel(booking._id, updates, session, {
+        restoreUsedPoints: calculation.restoreUsedPoints,
+        revokeEarnedPoints: calculation.revokeEarnedPoints
+      });
+
+      const refund = await this._createRefund(booking, calculation, { reason, processedBy, posSessionId }, session);
+
+      return { booking: cancelledBooking, refund };
+    });
+
+    if (result.refund.method === 'online') {
+      result.refund = await this.processProviderRefund(result.refund);
+    }
+
+    return result;
+  }
+
+  /**
+   * Cancel some tickets of a booking and refund them under the applicable policy.
+   * Cancelling every ticket cancels the booking itself.
+   * @param {Object} booking - Booking document
+   * @param {Array} ticketIds - Tickets to cancel
+   * @param {Object} options - { reason, processedBy, enforceCutoff, posSessionId, policy }
+   * @returns {Object} { booking, refund }
+   */
+  async cancelTickets(booking, ticketIds, { reason, processedBy, enforceCutoff = true, posSessionId, policy }) {
+    const tickets = this._findActiveTickets(booking, ticketIds);
+    const anyUsed = booking.seats.some(s => s.status === 'used');
+    if (!anyUsed && tickets.length === bookingService.activeTickets(booking).length) {
+      return this.cancelWithRefund(booking, { reason, processedBy, enforceCutoff, posSessionId, policy });
+    }
+
+    if (this._isGroup(booking)) {
+      throw new ErrorResponse('Tickets of a group booking can only be cancelled together', 400);
+    }
+
+    const calculation = await this.quote(booking, ticketIds, policy);
+
+    if (enforceCutoff && !calculation.canSelfCancel) {
+      throw new ErrorResponse('Booking can no longer be cancelled, please contact the cinema', 400);
+    }
+
+    const result = await withTransaction(async (session) => {
+      const updatedBooking = await bookingService.cancelTickets(booking, calculation.tickets, { reason }, session);
+
+      const refund = await this._createRefund(booking, calculation, { reason, processedBy, posSessionId, partial: true }, session);
+
+      return { booking: updatedBooking, refund };
+    });
+
+    if (result.refund.method === 'online') {
+      result.refund = await this.processProviderRefund(result.refund);
+    }
+
+    return result;
+  }
+
+  /**
+   * Cancel what is left of a booking because its showtime was cancelled,
+   * refunding everything paid for the tickets that were not used
+   * @returns {Object} { booking, refund }
+   */
+  async cancelForShowtime(booking, { reason, processedBy }) {
+    const ticketIds = bookingService.activeTickets(booking).map(t => t._id);
+    return this.cancelTickets(booking, ticketIds, {
+      reason,
+      processedBy,
+      enforceCutoff: false,
+      policy: this.showtimeCancelledPolicy
+    });
+  }
+
+  /**
+   * Send pending provider refunds. Safe to call again for a failed refund.
+   */
+  async processProviderRefund(refund) {
+    for (const target of refund.providerRefunds) {
+      if (target.status === 'completed') continue;
+
+      try {
+        const { refundId } = await paymentService.refund(target.transactionId, target.amount, target.provider);
+        target.refundId = refundId;
+        target.status = 'completed';
+        target.error = undefined;
+      } catch (error) {
+        logger.error(`Provider refund failed for booking ${refund.bookingId}:`, error);
+        target.status = 'failed';
+        target.error = error.message;
+      }
+    }
+
+    const allDone = refund.providerRefunds.every(t => t.status === 'completed');
+    refund.status = allDone ? 'completed' : 'failed';
+    if (allDone) refund.processedAt = new Date();
+
+    await refund.save();
+    return refund;
+  }
+
+  /**
+   * Hand back the cash refunds a booking is owed, e.g. after its showtime was
+   * cancelled, from the staff member's open counter session
+   * @returns {Array} Refunds paid out
+   */
+  async payOutCashRefunds(bookingId, staffUser) {
+    const pending = await Refund.find({ bookingId, method: 'cash', status: 'pending' });
+    if (pending.length === 0) {
+      throw new ErrorResponse('Booking has no cash refund waiting to be paid out', 400);
+    }
+
+    const posSession = await posSessionService.requireOpenSession(staffUser, pending[0].cinemaId);
+
+    const paidOut = [];
+    for (const { _id } of pending) {
+      // Guarded on the status so a refund is never paid out twice
+      const refund = await Refund.findOneAndUpdate(
+        { _id, status: 'pending' },
+        {
+          $set: {
+            status: 'completed',
+            posSessionId: posSession._id,
+            processedBy: { userId: staffUser._id, role: staffUser.role },
+            processedAt: new Date()
+          }
+        },
+        { new: true }
+      );
+      if (refund) paidOut.push(refund);
+    }
+    return paidOut;
+  }
+
+  async hasFailedRefund(bookingId) {
+    return Boolean(await Refund.exists({ bookingId, status: 'failed' }));
+  }
+
+  /**
+   * Retry the failed provider refunds of a booking, from a full or a partial
+   * cancellation. Each refund is claimed first so two retries cannot both send it.
+   * @returns {Array} Retried refunds
+   */
+  async retryFailedRefunds(bookingId) {
+    const failed = await Refund.find({ bookingId, status: 'failed' }).select('_id');
+    if (failed.length === 0) {
+      throw new ErrorResponse('Booking has no failed refund to retry', 400);
+    }
+
+    const retried = [];
+    for (const { _id } of failed) {
+      const refund = await Refund.findOneAndUpdate(
+        { _id, status: 'failed' },
+        { $set: { status: 'pending' } },
+        { new: true }
+      );
+      if (refund) retried.push(await this.processProviderRefund(refund));
+    }
+    return retried;
+  }
+}
+
+export default new RefundService();
@@ -0,0 +1,487 @@
+import Showtime from '../models/Showtime.model.js';
+import Movie from '../models/Movie.model.js';
+import Cinema from '../models/Cinema.model.js';
+import ScheduleProposal from '../models/ScheduleProposal.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import { withTransaction } from '../utils/transaction.js';
+import scheduleService from './scheduleService.js';
+import pricingService from './pricingService.js';
+import crowdPredictionAI from './crowdPredictionAI.js';
+
+/**
+ * Schedule Optimizer Service
+ * Proposes a day's showtime grid for a cinema that maximizes expected revenue.
+ * Screens are filled from opening time; each free slot gets the movie that
+ * earns the most per minute of screen time, then minimum showings per movie
+ * are repaired by swapping out the weakest surplus showings.
+ */
+class ScheduleOptimizerService {
+  constructor() {
+    this.defaultHours = { open: '09:00', close: '23:00' };
+    this.defaultConstraints = {
+      minShowsPerMovie: 1,
+      maxShowsPerMovie: null,
+      imaxOnlyMovieIds: [],
+      // No two showings of the cinema start closer than this (lobby and concessions)
+      staggerMinutes: 10,
+      // Start times are multiples of this
+      slotMinutes: 5
+    };
+    this.slotSizes = [5, 10, 15, 30];
+
+    this.historyDays = 28;
+    // A movie needs this many past showings before its own occupancy is trusted
+    this.minHistorySamples = 3;
+
+    // Each extra showing of a movie on the same day draws a smaller audience
+    this.repeatDecay = 0.85;
+    // Showings of the same movie starting this close together split their audience
+    this.overlapWindowMinutes = 60;
+    this.overlapPenalty = 0.7;
+  }
+
+  _constraints(input = {}) {
+    const constraints = { ...this.defaultConstraints, ...input };
+    const { minShowsPerMovie, maxShowsPerMovie, staggerMinutes, slotMinutes } = constraints;
+
+    if (!Number.isInteger(minShowsPerMovie) || minShowsPerMovie < 0) {
+      throw new ErrorResponse('minShowsPerMovie must be a whole number of at least 0', 400);
+    }
+    if (maxShowsPerMovie !== null && (!Number.isInteger(maxShowsPerMovie) || maxShowsPerMovie < Math.max(minShowsPerMovie, 1))) {
+      throw new ErrorResponse('maxShowsPerMovie must be a whole number of at least minShowsPerMovie', 400);
+    }
+    if (!Number.isInteger(staggerMinutes) || staggerMinutes < 0 || staggerMinutes > 60) {
+      throw new ErrorResponse('staggerMinutes must be between 0 and 60', 400);
+    }
+    if (!this.slotSizes.includes(slotMinutes)) {
+      throw new ErrorResponse(`slotMinutes must be one of: ${this.slotSizes.join(', ')}`, 400);
+    }
+    if (!Array.isArray(constraints.imaxOnlyMovieIds)) {
+      throw new ErrorResponse('imaxOnlyMovieIds must be a list of movie IDs', 400);
+    }
+
+    constraints.imaxOnlyMovieIds = constraints.imaxOnlyMovieIds.map(String);
+    return constraints;
+  }
+
+  /**
+   * Opening and closing instants of a local day; a closing time before the
+   * opening time is on the next day
+   */
+  _operatingWindow(cinema, day) {
+    const hours = cinema.operatingHours || {};
+    const valid = time => /^([01]\d|2[0-3]):[0-5]\d$/.test(time || '');
+    const open = scheduleService.localTime(day, valid(hours.open) ? hours.open : this.defaultHours.open);
+    let close = scheduleService.localTime(day, valid(hours.close) ? hours.close : this.defaultHours.close);
+    if (close <= open) close = new Date(close.getTime() + 24 * 60 * 60 * 1000);
+    return { open, close };
+  }
+
+  /**
+   * Tickets sold against capacity for the cinema's recent showings
+   * @returns {Object} { movies: Map(movieId => { rate, samples }), overallRate }
+   */
+  async _loadHistory(cinemaId) {
+    const now = new Date();
+    const since = new Date(now.getTime() - this.historyDays * 24 * 60 * 60 * 1000);
+
+    const rows = await Showtime.aggregate([
+      {
+        $match: {
+          cinemaId,
+          startTime: { $gte: since, $lt: now },
+          status: { $ne: 'cancelled' },
+          isActive: true
+        }
+      },
+      {
+        $lookup: {
+          from: 'bookings',
+          let: { showtimeId: '$_id' },
+          pipeline: [
+            {
+              $match: {
+                $expr: { $eq: ['$showtimeId', '$$showtimeId'] },
+                status: { $in: ['confirmed', 'used'] }
+              }
+            },
+            {
+              $project: {
+                tickets: {
+                  $size: {
+                    $filter: {
+                      input: '$seats',
+                      cond: { $not: [{ $in: ['$$this.status', ['cancelled', 'refunded']] }] }
+                    }
+                  }
+                }
+              }
+            }
+          ],
+          as: 'bookings'
+        }
+      },
+      {
+        $group: {
+          _id: '$movieId',
+          sold: { $sum: { $sum: '$bookings.tickets' } },
+          capacity: { $sum: '$room.capacity' },
+          samples: { $sum: 1 }
+        }
+      }
+    ]);
+
+    const movies = new Map();
+    let sold = 0;
+    let capacity = 0;
+    rows.forEach(row => {
+      sold += row.sold;
+      capacity += row.capacity || 0;
+      movies.set(row._id.toString(), {
+        rate: row.capacity > 0 ? row.sold / row.capacity : 0,
+        samples: row.samples
+      });
+    });
+
+    return { movies, overallRate: capacity > 0 ? sold / capacity : 0 };
+  }
+
+  _isAllowed(movie, screen, constraints) {
+    const imaxOnly = constraints.imaxOnlyMovieIds.includes(movie._id.toString());
+    return !imaxOnly || screen.screenType === 'IMAX';
+  }
+
+  /**
+   * Expected audience and takings of one showing
+   * @param {Object} context - { cinema, history }
+   * @param {Number} earlierShows - Showings of the movie earlier that day
+   * @param {Boolean} nearbyShow - Another showing of the movie starts close by
+   */
+  _evaluate(movie, screen, startTime, context, earlierShows, nearbyShow) {
+    let occupancy = crowdPredictionAI.estimateDemand(movie, startTime);
+
+    // Scale by how the movie actually sold here compared to the cinema average
+    const own = context.history.movies.get(movie._id.toString());
+    if (own && own.samples >= this.minHistorySamples && context.history.overallRate > 0) {
+      occupancy *= Math.min(Math.max(own.rate / context.history.overallRate, 0.5), 1.5);
+    }
+
+    occupancy *= this.repeatDecay ** earlierShows;
+    if (nearbyShow) occupancy *= this.overlapPenalty;
+    occupancy = Math.min(occupancy, 1);
+
+    const expectedTickets = Math.round(occupancy * screen.capacity);
+    const ticketPrice = pricingService.priceSeat('standard', { startTime, screenId: screen._id }, context.cinema).price;
+
+    return {
+      expectedOccupancy: Number(occupancy.toFixed(2)),
+      expectedTickets,
+      expectedRevenue: expectedTickets * ticketPrice
+    };
+  }
+
+  // Proposed showings carry the screen, existing showtimes its ID
+  _screenIdOf(show) {
+    return (show.screen ? show.screen._id : show.screenId).toString();
+  }
+
+  _isNearby(a, b) {
+    return Math.abs(a - b) < this.overlapWindowMinutes * 60 * 1000;
+  }
+
+  /**
+   * Re-score every proposed showing in start order, now that the grid is final
+   */
+  _evaluateAll(shows, existing, context) {
+    const sameDay = [...existing.map(s => ({ movieId: s.movieId.toString(), startTime: s.startTime })), ...shows]
+      .sort((a, b) => a.startTime - b.startTime);
+
+    shows.forEach(show => {
+      const earlier = sameDay.filter(other => other !== show &&
+        other.movieId.toString() === show.movieId.toString() && other.startTime < show.startTime);
+      const nearby = earlier.some(other => this._isNearby(other.startTime, show.startTime));
+      Object.assign(show, this._evaluate(show.movie, show.screen, show.startTime, context, earlier.length, nearby));
+    });
+  }
+
+  /**
+   * Fill every screen from the opening time (or now) until closing
+   */
+  _fillScreens({ screens, movies, existing, window, startAt, constraints, context }) {
+    const slotMs = constraints.slotMinutes * 60 * 1000;
+    const staggerMs = constraints.staggerMinutes * 60 * 1000;
+    const roundUp = time => new Date(Math.ceil(time / slotMs) * slotMs);
+
+    const counts = new Map(movies.map(m => [m._id.toString(), 0]));
+    existing.forEach(s => {
+      const id = s.movieId.toString();
+      if (counts.has(id)) counts.set(id, counts.get(id) + 1);
+    });
+    const starts = existing.map(s => s.startTime.getTime());
+    const shows = [];
+
+    const states = screens.map(screen => ({
+      screen,
+      cursor: startAt,
+      blocks: existing
+        .filter(s => s.screenId.toString() === screen._id.toString())
+        .sort((a, b) => a.startTime - b.startTime),
+      done: false
+    }));
+
+    for (;;) {
+      const open = states.filter(state => !state.done);
+      if (open.length === 0) break;
+      const state = open.reduce((first, other) => (other.cursor < first.cursor ? other : first));
+
+      const start = roundUp(state.cursor);
+      if (start >= window.close) {
+        state.done = true;
+        continue;
+      }
+
+      const block = state.blocks.find(b => b.startTime <= start && b.endTime > start);
+      if (block) {
+        state.cursor = block.endTime;
+        continue;
+      }
+
+      if (starts.some(time => Math.abs(time - start) < staggerMs)) {
+        state.cursor = new Date(start.getTime() + slotMs);
+        continue;
+      }
+
+      const nextBlock = state.blocks.find(b => b.startTime > start);
+      let best = null;
+      movies.forEach(movie => {
+        const id = movie._id.toString();
+        if (!this._isAllowed(movie, state.screen, constraints)) return;
+        if (constraints.maxShowsPerMovie !== null && counts.get(id) >= constraints.maxShowsPerMovie) return;
+
+        // The movie has to end before closing and the screen be clean for the next showing
+        const endTime = scheduleService.endTimeFor(start, movie);
+        if (start.getTime() + movie.duration * 60 * 1000 > window.close.getTime()) return;
+        if (nextBlock && endTime > nextBlock.startTime) return;
+
+        const nearby = shows.some(s => s.movieId.toString() === id && this._isNearby(s.startTime, start));
+        const value = this._evaluate(movie, state.screen, start, context, counts.get(id), nearby);
+        const perMinute = value.expectedRevenue / (movie.duration + scheduleService.cleaningMinutes);
+        if (!best || perMinute > best.perMinute) {
+          best = { movie, endTime, perMinute, value };
+        }
+      });
+
+      if (!best) {
+        // Nothing fits before the next showing on this screen, continue after it
+        if (nextBlock) {
+          state.cursor = nextBlock.endTime;
+        } else {
+          state.done = true;
+        }
+        continue;
+      }
+
+      shows.push({
+        movie: best.movie,
+        movieId: best.movie._id,
+        screen: state.screen,
+        startTime: start,
+        endTime: best.endTime,
+        ...best.value
+      });
+      counts.set(best.movie._id.toString(), counts.get(best.movie._id.toString()) + 1);
+      starts.push(start.getTime());
+      state.cursor = best.endTime;
+    }
+
+    return { shows, counts };
+  }
+
+  /**
+   * Swap the weakest surplus showings for movies below their minimum
+   * @returns {Array} Warnings for minimums that could not be met
+   */
+  _repairMinimums({ shows, counts, movies, existing, window, constraints }) {
+    const warnings = [];
+    const minimum = constraints.minShowsPerMovie;
+
+    movies.forEach(movie => {
+      const id = movie._id.toString();
+
+      while (counts.get(id) < minimum) {
+        const candidates = shows
+          .filter(show => {
+            const showMovieId = show.movieId.toString();
+            if (showMovieId === id || counts.get(showMovieId) <= minimum) return false;
+            if (!this._isAllowed(movie, show.screen, constraints)) return false;
+            if (show.startTime.getTime() + movie.duration * 60 * 1000 > window.close.getTime()) return false;
+
+            // The replacement must be clean before the screen's next showing
+            const endTime = scheduleService.endTimeFor(show.startTime, movie);
+            const screenId = show.screen._id.toString();
+            return ![...shows, ...existing].some(other => other !== show &&
+              this._screenIdOf(other) === screenId &&
+              other.startTime >= show.startTime && other.startTime < endTime);
+          })
+          .sort((a, b) => a.expectedRevenue - b.expectedRevenue);
+
+        if (candidates.length === 0) {
+          warnings.push(`${movie.title}: only ${counts.get(id)} of ${minimum} showings fit the day`);
+          break;
+        }
+
+        const replaced = candidates[0];
+        counts.set(replaced.movieId.toString(), counts.get(replaced.movieId.toString()) - 1);
+        counts.set(id, counts.get(id) + 1);
+        Object.assign(replaced, {
+          movie,
+          movieId: movie._id,
+          endTime: scheduleService.endTimeFor(replaced.startTime, movie)
+        });
+      }
+    });
+
+    return warnings;
+  }
+
+  /**
+   * Propose and save a showtime grid for one cinema and day
+   * @param {Object} request - { cinemaId, date, movieIds, constraints }
+   * @returns {Object} Saved proposal
+   */
+  async propose({ cinemaId, date, movieIds, constraints: input }, admin) {
+    const day = scheduleService.parseDay(date, 'Date');
+    const constraints = this._constraints(input);
+
+    const cinema = await Cinema.findById(cinemaId);
+    if (!cinema) throw new ErrorResponse('Cinema not found', 404);
+
+    const screens = cinema.screens.filter(screen => screen.isActive);
+    if (screens.length === 0) {
+      throw new ErrorResponse('Cinema has no active screens', 400);
+    }
+
+    const window = this._operatingWindow(cinema, day);
+    const now = new Date();
+    if (window.close <= now) {
+      throw new ErrorResponse('This day is already over', 400);
+    }
+
+    const movieQuery = {
+      status: 'now-showing',
+      isActive: true,
+      releaseDate: { $lt: window.close },
+      $or: [{ endDate: null }, { endDate: { $gte: window.open } }]
+    };
+    if (movieIds) movieQuery._id = { $in: [].concat(movieIds) };
+    const movies = await Movie.find(movieQuery).select('title duration releaseDate viewCount');
+    if (movies.length === 0) {
+      throw new ErrorResponse('No now-showing movies to schedule', 400);
+    }
+
+    const warnings = [];
+    const hasImax = screens.some(screen => screen.screenType === 'IMAX');
+    movies
+      .filter(movie => constraints.imaxOnlyMovieIds.includes(movie._id.toString()) && !hasImax)
+      .forEach(movie => warnings.push(`${movie.title} is IMAX-only but the cinema has no active IMAX screen`));
+
+    const existing = await Showtime.find({
+      cinemaId: cinema._id,
+      screenId: { $in: screens.map(screen => screen._id) },
+      isActive: true,
+      status: { $ne: 'cancelled' },
+      startTime: { $lt: window.close },
+      endTime: { $gt: window.open }
+    }).select('movieId screenId startTime endTime');
+
+    const context = { cinema, history: await this._loadHistory(cinema._id) };
+    const startAt = now > window.open ? now : window.open;
+
+    const { shows, counts } = this._fillScreens({ screens, movies, existing, window, startAt, constraints, context });
+    warnings.push(...this._repairMinimums({ shows, counts, movies, existing, window, constraints }));
+    this._evaluateAll(shows, existing, context);
+
+    shows.sort((a, b) => a.startTime - b.startTime);
+
+    return ScheduleProposal.create({
+      cinemaId: cinema._id,
+      date: day,
+      shows: shows.map(show => ({
+        movieId: show.movieId,
+        title: show.movie.title,
+        screenId: show.screen._id,
+        screenName: show.screen.name,
+        screenType: show.screen.screenType,
+        startTime: show.startTime,
+        endTime: show.endTime,
+        expectedOccupancy: show.expectedOccupancy,
+        expectedTickets: show.expectedTickets,
+        expectedRevenue: show.expectedRevenue
+      })),
+      constraints,
+      expectedRevenue: shows.reduce((sum, show) => sum + show.expectedRevenue, 0),
+      warnings,
+      createdBy: admin._id
+    });
+  }
+
+  /**
+   * Create the showtimes of a proposal, optionally leaving some showings out
+   * @param {Array} excludeShowIds - Proposed showings the admin rejected
+   * @returns {Object} { proposal, showtimes }
+   */
+  async commit(proposalId, admin, { excludeShowIds = [] } = {}) {
+    const proposal = await ScheduleProposal.findById(proposalId);
+    if (!proposal) throw new ErrorResponse('Schedule proposal not found', 404);
+    if (proposal.status !== 'proposed') {
+      throw new ErrorResponse('Schedule proposal has already been committed or discarded', 400);
+    }
+
+    const excluded = new Set([].concat(excludeShowIds).map(String));
+    const shows = proposal.shows.filter(show => !excluded.has(show._id.toString()));
+    if (shows.some(show => show.startTime <= new Date())) {
+      throw new ErrorResponse('Some proposed showings have already started, please generate a new proposal', 400);
+    }
+
+    const cinema = await Cinema.findById(proposal.cinemaId);
+    if (!cinema) throw new ErrorResponse('Cinema not found', 404);
+
+    return withTransaction(async (session) => {
+      const committed = await ScheduleProposal.findOneAndUpdate(
+        { _id: proposal._id, status: 'proposed' },
+        { $set: { status: 'committed', committedBy: admin._id, committedAt: new Date() } },
+        { new: true, session }
+      );
+      if (!committed) {
+        throw new ErrorResponse('Schedule proposal has already been committed or discarded', 400);
+      }
+
+      const showtimes = await scheduleService.createShowtimes(cinema, shows.map(show => ({
+        movieId: show.movieId,
+        screenId: show.screenId,
+        startTime: show.startTime,
+        endTime: show.endTime,
+        date: proposal.date
+      })), session);
+
+      committed.showtimeIds = showtimes.map(showtime => showtime._id);
+      await committed.save({ session });
+
+      return { proposal: committed, showtimes };
+    });
+  }
+
+  async discard(proposalId) {
+    const proposal = await ScheduleProposal.findOneAndUpdate(
+      { _id: proposalId, status: 'proposed' },
+      { $set: { status: 'discarded' } },
+      { new: true }
+    );
+    if (!proposal) {
+      throw new ErrorResponse('Only proposed schedules can be discarded', 400);
+    }
+    return proposal;
+  }
+}
+
+export default new ScheduleOptimizerService();
@@ -0,0 +1,279 @@
+import Showtime from '../models/Showtime.model.js';
+import Movie from '../models/Movie.model.js';
+import Cinema from '../models/Cinema.model.js';
+import ScheduleTemplate from '../models/ScheduleTemplate.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import { withTransaction } from '../utils/transaction.js';
+
+/**
+ * Schedule Service
+ * Screen time slots for showtimes: end times, screen conflicts and
+ * bulk generation of showtimes from weekly schedule templates
+ */
+class ScheduleService {
+  constructor() {
+    // Time to clean the screen between two showings
+    this.cleaningMinutes = 15;
+    this.maxRangeDays = 62;
+
+    // Template times are local cinema times
+    const offset = process.env.SCHEDULE_UTC_OFFSET_MINUTES;
+    this.utcOffsetMinutes = offset !== undefined && offset !== '' ? Number(offset) : 420; // UTC+7
+  }
+
+  /**
+   * End of the screen slot: movie duration plus cleaning time
+   */
+  endTimeFor(startTime, movie) {
+    return new Date(new Date(startTime).getTime() + (movie.duration + this.cleaningMinutes) * 60 * 1000);
+  }
+
+  roomFor(screen) {
+    return {
+      name: screen.name,
+      capacity: screen.capacity,
+      screenType: screen.screenType,
+      // Legacy format kept in step for readers of room.type
+      type: { IMAX: 'imax', '4DX': '4dx' }[screen.screenType] || 'standard',
+      layoutVersion: (screen.seats && screen.seats.layoutVersion) || 1
+    };
+  }
+
+  /**
+   * Screen fields a new showtime keeps a copy of: room details, seat layout
+   * and the number of seats on sale
+   */
+  screenSnapshot(screen) {
+    const layout = (screen.seats && screen.seats.layout) || [];
+    return {
+      room: this.roomFor(screen),
+      seatLayout: layout.map(row => row.map(seat => ({ row: seat.row, number: seat.number, type: seat.type }))),
+      availableSeats: (screen.seats && screen.seats.total) || screen.capacity
+    };
+  }
+
+  _overlaps(a, b) {
+    return a.startTime < b.endTime && a.endTime > b.startTime;
+  }
+
+  _conflictFilter(cinemaId, screenIds, startTime, endTime) {
+    return {
+      cinemaId,
+      screenId: { $in: screenIds },
+      startTime: { $lt: endTime },
+      endTime: { $gt: startTime },
+      isActive: true,
+      status: { $ne: 'cancelled' }
+    };
+  }
+
+  /**
+   * Showtime already using the screen during the slot, if any.
+   * Any overlap conflicts, also for showings that run past midnight.
+   */
+  async findConflict(cinemaId, screenId, startTime, endTime, { session } = {}) {
+    return Showtime.findOne(this._conflictFilter(cinemaId, [screenId], startTime, endTime)).session(session || null);
+  }
+
+  // 'YYYY-MM-DD' to a UTC midnight date, as stored in Showtime.date
+  parseDay(value, field) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || ''));
+    const day = match && new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    if (!day || day.toISOString().slice(0, 10) !== match[0]) {
+      throw new ErrorResponse(`${field} must be a date in YYYY-MM-DD format`, 400);
+    }
+    return day;
+  }
+
+  // Local 'HH:mm' on a day to the actual instant
+  localTime(day, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return new Date(day.getTime() + (hours * 60 + minutes - this.utcOffsetMinutes) * 60 * 1000);
+  }
+
+  /**
+   * Work out the showtimes templates would create for a movie over a date range
+   * and which of them conflict with existing showtimes or with each other
+   * @param {Object} params - { movieId, cinemaId, startDate, endDate, templateIds, price }
+   * @returns {Object} { movie, cinema, showtimes, conflicts }
+   */
+  async plan({ movieId, cinemaId, startDate, endDate, templateIds, price }) {
+    const firstDay = this.parseDay(startDate, 'Start date');
+    const lastDay = this.parseDay(endDate, 'End date');
+    const dayCount = Math.round((lastDay - firstDay) / (24 * 60 * 60 * 1000)) + 1;
+    if (dayCount < 1 || dayCount > this.maxRangeDays) {
+      throw new ErrorResponse(`Date range must cover 1 to ${this.maxRangeDays} days`, 400);
+    }
+
+    const [movie, cinema] = await Promise.all([Movie.findById(movieId), Cinema.findById(cinemaId)]);
+    if (!movie || !cinema) {
+      throw new ErrorResponse('Movie or Cinema not found', 404);
+    }
+
+    const ids = templateIds ? [...new Set([].concat(templateIds).map(String))] : null;
+    const templateQuery = { cinemaId, isActive: true };
+    if (ids) templateQuery._id = { $in: ids };
+    const templates = await ScheduleTemplate.find(templateQuery);
+    if (templates.length === 0 || (ids && templates.length !== ids.length)) {
+      throw new ErrorResponse('No active schedule templates found for this cinema', 404);
+    }
+
+    const showtimes = [];
+    const conflicts = [];
+    const now = new Date();
+
+    for (let index = 0; index < dayCount; index++) {
+      const day = new Date(firstDay.getTime() + index * 24 * 60 * 60 * 1000);
+
+      templates
+        .filter(template => template.daysOfWeek.includes(day.getUTCDay()))
+        .forEach(template => {
+          const screen = cinema.screens.id(template.screenId);
+
+          template.startTimes.forEach(time => {
+            const startTime = this.localTime(day, time);
+            const slot = {
+              templateId: template._id,
+              screenId: template.screenId,
+              screenName: screen ? screen.name : null,
+              date: day,
+              startTime,
+              endTime: this.endTimeFor(startTime, movie)
+            };
+
+            if (!screen || !screen.isActive) {
+              conflicts.push({ ...slot, reason: 'Screen is not available' });
+            } else if (startTime <= now) {
+              conflicts.push({ ...slot, reason: 'Start time is in the past' });
+            } else {
+              showtimes.push({ ...slot, screen });
+            }
+          });
+        });
+    }
+
+    // Existing showtimes on the screens over the whole range, in one query
+    const screenIds = [...new Set(showtimes.map(s => s.screenId.toString()))];
+    const existing = showtimes.length > 0
+      ? await Showtime.find(this._conflictFilter(
+        cinemaId,
+        screenIds,
+        new Date(Math.min(...showtimes.map(s => s.startTime))),
+        new Date(Math.max(...showtimes.map(s => s.endTime)))
+      )).populate('movieId', 'title')
+      : [];
+
+    // Earlier slots win when two generated slots overlap on a screen
+    showtimes.sort((a, b) => a.startTime - b.startTime);
+    const accepted = [];
+    showtimes.forEach(slot => {
+      const sameScreen = other => other.screenId.toString() === slot.screenId.toString();
+      const clash = existing.find(other => sameScreen(other) && this._overlaps(slot, other));
+      if (clash) {
+        conflicts.push({
+          ...slot,
+          reason: 'Overlaps an existing showtime',
+          conflictsWith: {
+            showtimeId: clash._id,
+            movie: clash.movieId && clash.movieId.title,
+            startTime: clash.startTime,
+            endTime: clash.endTime
+          }
+        });
+        return;
+      }
+
+      const overlap = accepted.find(other => sameScreen(other) && this._overlaps(slot, other));
+      if (overlap) {
+        conflicts.push({
+          ...slot,
+          reason: 'Overlaps another generated showtime',
+          conflictsWith: { startTime: overlap.startTime, endTime: overlap.endTime }
+        });
+        return;
+      }
+
+      accepted.push(slot);
+    });
+
+    conflicts.sort((a, b) => a.startTime - b.startTime);
+
+    return {
+      movie: { _id: movie._id, title: movie.title, duration: movie.duration },
+      cinema: { _id: cinema._id, name: cinema.name },
+      cleaningMinutes: this.cleaningMinutes,
+      price,
+      showtimes: accepted,
+      conflicts
+    };
+  }
+
+  /**
+   * Create showtimes for screen slots in one transaction. Fails as a whole
+   * when a slot was taken since it was planned.
+   * @param {Object} cinema - Cinema document
+   * @param {Array} slots - [{ movieId, screenId, startTime, endTime, date, price }]
+   * @param {Object} session - Optional transaction to run in
+   * @returns {Array} Created showtimes
+   */
+  async createShowtimes(cinema, slots, session) {
+    if (slots.length === 0) {
+      throw new ErrorResponse('There are no showtimes to create', 400);
+    }
+    if (!session) {
+      return withTransaction(txn => this.createShowtimes(cinema, slots, txn));
+    }
+
+    // Another admin may have scheduled the screen since the preview
+    for (const slot of slots) {
+      const conflict = await this.findConflict(cinema._id, slot.screenId, slot.startTime, slot.endTime, { session });
+      if (conflict) {
+        throw new ErrorResponse('Schedule changed while creating showtimes, please preview again', 409);
+      }
+    }
+
+    return Showtime.insertMany(slots.map(slot => {
+      const screen = cinema.screens.id(slot.screenId);
+      if (!screen) throw new ErrorResponse('Screen not found', 404);
+
+      return {
+        movieId: slot.movieId,
+        cinemaId: cinema._id,
+        screenId: slot.screenId,
+        ...this.screenSnapshot(screen),
+        startTime: slot.startTime,
+        endTime: slot.endTime,
+        date: slot.date,
+        price: slot.price
+      };
+    }), { session });
+  }
+
+  /**
+   * Create the showtimes of a bulk plan
+   * @returns {Array} Created showtimes
+   */
+  async createFromPlan(plan) {
+    const cinema = await Cinema.findById(plan.cinema._id);
+    return this.createShowtimes(cinema, plan.showtimes.map(slot => ({
+      ...slot,
+      movieId: plan.movie._id,
+      price: plan.price
+    })));
+  }
+
+  /**
+   * Preview of a plan for the API, without the screen documents
+   */
+  summarize(plan) {
+    return {
+      movie: plan.movie,
+      cinema: plan.cinema,
+      cleaningMinutes: plan.cleaningMinutes,
+      showtimes: plan.showtimes.map(({ screen, ...slot }) => slot),
+      conflicts: plan.conflicts.map(({ screen, ...slot }) => slot)
+    };
+  }
+}
+
+export default new ScheduleService();
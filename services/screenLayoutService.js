@@ -0,0 +1,348 @@
+import Cinema from '../models/Cinema.model.js';
+import Showtime from '../models/Showtime.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+
+/**
+ * Screen Layout Service
+ * Screens of a cinema and their seat layouts, edited as compact row strings
+ * like "A: SSSS_VVVV_SSSS" (S standard, V vip, C couple, _ aisle)
+ */
+class ScreenLayoutService {
+  constructor() {
+    this.seatCodes = { S: 'standard', V: 'vip', C: 'couple' };
+    this.aisleCode = '_';
+    this.maxRows = 40;
+    this.maxRowLength = 60;
+    this.screenFields = ['name', 'screenType', 'amenities', 'isActive'];
+  }
+
+  seatKey(seat) {
+    return `${seat.row}${seat.number}`;
+  }
+
+  /**
+   * Parse row strings into a seat layout. Seat numbers are positions in the
+   * row, so an aisle skips a number and splits the row into blocks.
+   * @param {Array|String} rows - ['A: SSSS_VVVV_SSSS', ...] or one string with a row per line
+   * @returns {Object} { layout, counts }
+   */
+  parseRows(rows) {
+    const lines = (Array.isArray(rows) ? rows : String(rows || '').split('\n'))
+      .map(line => String(line).trim())
+      .filter(Boolean);
+
+    if (lines.length === 0) {
+      throw new ErrorResponse('Please provide at least one seat row', 400);
+    }
+    if (lines.length > this.maxRows) {
+      throw new ErrorResponse(`A screen can have at most ${this.maxRows} rows`, 400);
+    }
+
+    const errors = [];
+    const labels = new Set();
+    const layout = [];
+
+    lines.forEach((line, index) => {
+      const match = /^([A-Za-z]{1,2})\s*:\s*([SVC_]+)$/i.exec(line);
+      if (!match) {
+        errors.push(`Line ${index + 1} must look like "A: SSSS_VVVV_SSSS"`);
+        return;
+      }
+
+      const row = match[1].toUpperCase();
+      const codes = match[2].toUpperCase();
+      if (labels.has(row)) errors.push(`Row ${row} appears more than once`);
+      labels.add(row);
+
+      if (codes.length > this.maxRowLength) {
+        errors.push(`Row ${row} is longer than ${this.maxRowLength} positions`);
+      }
+      if (!codes.replace(/_/g, '')) {
+        errors.push(`Row ${row} has no seats`);
+      }
+      // Couple seats are sold two by two, so every run of them must pair up
+      (codes.match(/C+/g) || []).forEach(run => {
+        if (run.length % 2 !== 0) errors.push(`Row ${row} has an odd number of couple seats in a block`);
+      });
+
+      const seats = [];
+      [...codes].forEach((code, position) => {
+        if (code === this.aisleCode) return;
+        seats.push({ row, number: position + 1, type: this.seatCodes[code], status: 'available' });
+      });
+      layout.push(seats);
+    });
+
+    if (errors.length > 0) {
+      throw new ErrorResponse(errors.join('; '), 400);
+    }
+
+    return { layout, counts: this.countSeats(layout) };
+  }
+
+  /**
+   * Row strings for a layout, the inverse of parseRows
+   */
+  formatRows(layout) {
+    const codes = Object.fromEntries(Object.entries(this.seatCodes).map(([code, type]) => [type, code]));
+
+    return (layout || []).filter(rowSeats => rowSeats.length > 0).map(rowSeats => {
+      const byNumber = new Map(rowSeats.map(seat => [seat.number, seat]));
+      const length = Math.max(...rowSeats.map(seat => seat.number));
+      let line = '';
+      for (let number = 1; number <= length; number++) {
+        const seat = byNumber.get(number);
+        line += seat ? (codes[seat.type] || 'S') : this.aisleCode;
+      }
+      return `${rowSeats[0].row}: ${line}`;
+    });
+  }
+
+  countSeats(layout) {
+    const counts = { total: 0, standard: 0, vip: 0, couple: 0 };
+    layout.forEach(rowSeats => rowSeats.forEach(seat => {
+      counts.total++;
+      counts[seat.type]++;
+    }));
+    return counts;
+  }
+
+  /**
+   * Screen as returned by the API, with its layout in row-string form
+   */
+  describe(screen) {
+    const data = screen.toObject();
+    return { ...data, rows: this.formatRows(data.seats && data.seats.layout) };
+  }
+
+  async findCinema(cinemaId) {
+    const cinema = await Cinema.findById(cinemaId);
+    if (!cinema) throw new ErrorResponse('Cinema not found', 404);
+    return cinema;
+  }
+
+  findScreen(cinema, screenId) {
+    const screen = cinema.screens.id(screenId);
+    if (!screen) throw new ErrorResponse('Screen not found', 404);
+    return screen;
+  }
+
+  // The version only moves once there was a layout showtimes could depend on
+  _applyLayout(screen, { layout, counts }) {
+    const hadLayout = Boolean(screen.seats && screen.seats.layout && screen.seats.layout.length > 0);
+    const version = (screen.seats && screen.seats.layoutVersion) || 1;
+    screen.seats = {
+      layout,
+      layoutVersion: hadLayout ? version + 1 : version,
+      ...counts
+    };
+    screen.capacity = counts.total;
+  }
+
+  /**
+   * Add a screen, with its layout when rows are given
+   * @param {Object} data - { name, screenType, amenities, capacity, rows }
+   * @returns {Object} { cinema, screen }
+   */
+  async createScreen(cinemaId, data) {
+    const cinema = await this.findCinema(cinemaId);
+
+    const fields = {};
+    this.screenFields.forEach(field => {
+      if (data[field] !== undefined) fields[field] = data[field];
+    });
+
+    const parsed = data.rows ? this.parseRows(data.rows) : null;
+    if (!parsed && !data.capacity) {
+      throw new ErrorResponse('Please provide the seat rows or the screen capacity', 400);
+    }
+
+    cinema.screens.push({ ...fields, capacity: data.capacity });
+    const screen = cinema.screens[cinema.screens.length - 1];
+    if (parsed) this._applyLayout(screen, parsed);
+
+    await cinema.save();
+    return { cinema, screen };
+  }
+
+  /**
+   * Update screen details. The layout has its own endpoint so it is versioned.
+   * A new screen type only applies to showtimes created afterwards.
+   */
+  async updateScreen(cinemaId, screenId, data) {
+    const cinema = await this.findCinema(cinemaId);
+    const screen = this.findScreen(cinema, screenId);
+
+    this.screenFields.forEach(field => {
+      if (data[field] !== undefined) screen[field] = data[field];
+    });
+
+    await cinema.save();
+    return { cinema, screen };
+  }
+
+  /**
+   * Take a screen out of use. It stays on the cinema because past showtimes
+   * and bookings still point at it.
+   */
+  async deactivateScreen(cinemaId, screenId) {
+    const cinema = await this.findCinema(cinemaId);
+    const screen = this.findScreen(cinema, screenId);
+
+    const upcoming = await Showtime.countDocuments({
+      cinemaId: cinema._id,
+      screenId: screen._id,
+      endTime: { $gt: new Date() },
+      isActive: true,
+      status: { $ne: 'cancelled' }
+    });
+    if (upcoming > 0) {
+      throw new ErrorResponse(`Screen has ${upcoming} upcoming showtimes, cancel or move them first`, 400);
+    }
+
+    screen.isActive = false;
+    await cinema.save();
+    return { cinema, screen };
+  }
+
+  /**
+   * Replace a screen's seat layout and bump its version. Showtimes that were
+   * created without a layout snapshot get the old layout first, so the edit
+   * cannot move their booked seats.
+   * @param {Object} options - { rows, dryRun }
+   * @returns {Object} { screen, counts, frozenShowtimes }
+   */
+  async updateLayout(cinemaId, screenId, { rows, dryRun = false }) {
+    const cinema = await this.findCinema(cinemaId);
+    const screen = this.findScreen(cinema, screenId);
+    const parsed = this.parseRows(rows);
+
+    if (dryRun) {
+      return { screen, counts: parsed.counts, rows: this.formatRows(parsed.layout), frozenShowtimes: 0 };
+    }
+
+    const oldLayout = (screen.seats && screen.seats.layout) || [];
+    const oldVersion = (screen.seats && screen.seats.layoutVersion) || 1;
+
+    let frozenShowtimes = 0;
+    if (oldLayout.length > 0) {
+      const result = await Showtime.updateMany(
+        {
+          cinemaId: cinema._id,
+          screenId: screen._id,
+          $or: [{ seatLayout: { $exists: false } }, { seatLayout: { $size: 0 } }]
+        },
+        {
+          $set: {
+            seatLayout: oldLayout.map(rowSeats => rowSeats.map(seat => ({ row: seat.row, number: seat.number, type: seat.type }))),
+            'room.layoutVersion': oldVersion
+          }
+        }
+      );
+      frozenShowtimes = result.modifiedCount;
+    }
+
+    // Seats switched off indefinitely stay off if they still exist
+    const offline = new Set(oldLayout.flat().filter(seat => seat.status === 'maintenance').map(seat => this.seatKey(seat)));
+    parsed.layout.forEach(rowSeats => rowSeats.forEach(seat => {
+      if (offline.has(this.seatKey(seat))) seat.status = 'maintenance';
+    }));
+
+    this._applyLayout(screen, parsed);
+    await cinema.save();
+
+    return { screen, counts: parsed.counts, rows: this.formatRows(parsed.layout), frozenShowtimes };
+  }
+
+  _parseSeat(value) {
+    if (value && typeof value === 'object') {
+      return { row: String(value.row).toUpperCase(), number: Number(value.number) };
+    }
+    const match = /^([A-Za-z]{1,2})(\d+)$/.exec(String(value || '').trim());
+    if (!match) throw new ErrorResponse(`Invalid seat: ${value}`, 400);
+    return { row: match[1].toUpperCase(), number: Number(match[2]) };
+  }
+
+  _parseDate(value, field) {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw new ErrorResponse(`${field} is not a valid date`, 400);
+    return date;
+  }
+
+  /**
+   * Put seats under maintenance for a period. Without an end date the seats
+   * stay out of service until the window is removed.
+   * @param {Object} data - { seats: ['A5', { row, number }], from, until, reason }
+   * @returns {Object} { windows, affectedShowtimes } - showtimes that already sold some of the seats
+   */
+  async addMaintenance(cinemaId, screenId, { seats, from, until, reason }, admin) {
+    const cinema = await this.findCinema(cinemaId);
+    const screen = this.findScreen(cinema, screenId);
+
+    if (!Array.isArray(seats) || seats.length === 0) {
+      throw new ErrorResponse('Please select the seats to put under maintenance', 400);
+    }
+
+    const start = from ? this._parseDate(from, 'Start date') : new Date();
+    const end = until ? this._parseDate(until, 'End date') : null;
+    if (end && end <= start) {
+      throw new ErrorResponse('End date must be after the start date', 400);
+    }
+
+    const layoutKeys = new Set(((screen.seats && screen.seats.layout) || []).flat().map(seat => this.seatKey(seat)));
+    const selected = seats.map(value => this._parseSeat(value));
+    const missing = selected.map(seat => this.seatKey(seat)).filter(key => !layoutKeys.has(key));
+    if (missing.length > 0) {
+      throw new ErrorResponse(`Seats not on this screen: ${missing.join(', ')}`, 400);
+    }
+
+    const windows = selected.map(seat => ({
+      row: seat.row,
+      number: seat.number,
+      from: start,
+      until: end,
+      reason,
+      createdBy: admin._id
+    }));
+    screen.seatMaintenance.push(...windows);
+    await cinema.save();
+
+    const keys = new Set(selected.map(seat => this.seatKey(seat)));
+    const showtimeFilter = {
+      cinemaId: cinema._id,
+      screenId: screen._id,
+      endTime: { $gt: start },
+      status: { $ne: 'cancelled' },
+      'bookedSeats.0': { $exists: true }
+    };
+    if (end) showtimeFilter.startTime = { $lt: end };
+
+    const showtimes = await Showtime.find(showtimeFilter).select('startTime bookedSeats').sort({ startTime: 1 });
+    const affectedShowtimes = showtimes
+      .map(showtime => ({
+        showtimeId: showtime._id,
+        startTime: showtime.startTime,
+        seats: showtime.bookedSeats.map(seat => this.seatKey(seat)).filter(key => keys.has(key))
+      }))
+      .filter(showtime => showtime.seats.length > 0);
+
+    return {
+      windows: screen.seatMaintenance.slice(-windows.length),
+      affectedShowtimes
+    };
+  }
+
+  async removeMaintenance(cinemaId, screenId, maintenanceId) {
+    const cinema = await this.findCinema(cinemaId);
+    const screen = this.findScreen(cinema, screenId);
+
+    const entry = screen.seatMaintenance.id(maintenanceId);
+    if (!entry) throw new ErrorResponse('Maintenance window not found', 404);
+
+    entry.deleteOne();
+    await cinema.save();
+    return screen;
+  }
+}
+
+export default new ScreenLayoutService();
@@ -0,0 +1,266 @@
+import Movie from '../models/Movie.model.js';
+import Cinema from '../models/Cinema.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import { normalizeText, tokenize, matchWord } from '../utils/textSearch.js';
+
+/**
+ * Search Service
+ * Accent-insensitive, typo-tolerant search over movies, cinemas and the
+ * people in movie credits. The catalog is small, so it is searched from an
+ * in-memory index that is rebuilt after a short TTL or when it is invalidated.
+ */
+class SearchService {
+  constructor() {
+    this.indexTtlMs = 5 * 60 * 1000;
+    this.maxQueryLength = 100;
+    this.defaultLimit = 10;
+    this.maxLimit = 30;
+    this.suggestLimit = 8;
+    this.peopleMovieLimit = 5;
+
+    // Field weights for ranking
+    this.weights = {
+      title: 3,
+      originalTitle: 2.5,
+      director: 2,
+      cast: 1.5,
+      tags: 1.5,
+      cinemaName: 3,
+      cinemaPlace: 1,
+      person: 2
+    };
+    // Films on screen now rank a little above the rest
+    this.statusBoost = { 'now-showing': 0.3, 'coming-soon': 0.15 };
+
+    this.index = null;
+    this.builtAt = 0;
+    this.building = null;
+    this.generation = 0;
+  }
+
+  // Drop the index so the next search sees catalog changes
+  invalidate() {
+    this.index = null;
+    this.generation++;
+  }
+
+  _field(weight, value) {
+    const text = normalizeText(value);
+    return { weight, text, words: text ? text.split(' ') : [] };
+  }
+
+  async _build() {
+    const [movies, cinemas] = await Promise.all([
+      Movie.find({ isActive: true })
+        .select('title originalTitle director cast tags poster status releaseDate rating')
+        .lean(),
+      Cinema.find({ isActive: true })
+        .select('name location')
+        .lean()
+    ]);
+
+    const people = new Map();
+    const addPerson = (name, role, movie) => {
+      const key = normalizeText(name);
+      if (!key) return;
+      if (!people.has(key)) {
+        people.set(key, { name, roles: new Set(), movies: [], fields: [this._field(this.weights.person, name)] });
+      }
+      const person = people.get(key);
+      person.roles.add(role);
+      if (!person.movies.some(m => m._id.equals(movie._id))) {
+        person.movies.push({ _id: movie._id, title: movie.title, status: movie.status });
+      }
+    };
+
+    const movieEntries = movies.map(movie => {
+      if (movie.director) addPerson(movie.director, 'director', movie);
+      (movie.cast || []).forEach(name => addPerson(name, 'cast', movie));
+
+      return {
+        item: {
+          _id: movie._id,
+          title: movie.title,
+          originalTitle: movie.originalTitle,
+          director: movie.director,
+          poster: movie.poster,
+          status: movie.status,
+          releaseDate: movie.releaseDate,
+          rating: movie.rating
+        },
+        boost: this.statusBoost[movie.status] || 0,
+        fields: [
+          this._field(this.weights.title, movie.title),
+          this._field(this.weights.originalTitle, movie.originalTitle),
+          this._field(this.weights.director, movie.director),
+          ...(movie.cast || []).map(name => this._field(this.weights.cast, name)),
+          ...(movie.tags || []).map(tag => this._field(this.weights.tags, tag))
+        ].filter(field => field.words.length > 0)
+      };
+    });
+
+    const cinemaEntries = cinemas.map(cinema => {
+      const location = cinema.location || {};
+      return {
+        item: {
+          _id: cinema._id,
+          name: cinema.name,
+          address: location.address,
+          district: location.district,
+          city: location.city
+        },
+        boost: 0,
+        fields: [
+          this._field(this.weights.cinemaName, cinema.name),
+          this._field(this.weights.cinemaPlace, location.district),
+          this._field(this.weights.cinemaPlace, location.city)
+        ].filter(field => field.words.length > 0)
+      };
+    });
+
+    const peopleEntries = [...people.values()].map(person => ({
+      item: {
+        name: person.name,
+        roles: [...person.roles],
+        movies: person.movies.slice(0, this.peopleMovieLimit)
+      },
+      boost: 0,
+      fields: person.fields
+    }));
+
+    return { movies: movieEntries, cinemas: cinemaEntries, people: peopleEntries };
+  }
+
+  async _getIndex() {
+    if (this.index && Date.now() - this.builtAt < this.indexTtlMs) return this.index;
+
+    // Searches arriving during a rebuild share it
+    if (!this.building) {
+      const generation = this.generation;
+      this.building = this._build()
+        .then(index => {
+          // A rebuild that started before an invalidation is used once, not cached
+          if (generation === this.generation) {
+            this.index = index;
+            this.builtAt = Date.now();
+          }
+          return index;
+        })
+        .finally(() => {
+          this.building = null;
+        });
+    }
+    return this.building;
+  }
+
+  /**
+   * Score an entry against the query words. Every word has to match some
+   * field; the whole query appearing in a field as typed ranks highest.
+   */
+  _score(entry, words, phrase) {
+    let total = 0;
+    for (const word of words) {
+      let best = 0;
+      for (const field of entry.fields) {
+        for (const fieldWord of field.words) {
+          const score = matchWord(word, fieldWord) * field.weight;
+          if (score > best) best = score;
+        }
+      }
+      if (best === 0) return 0;
+      total += best;
+    }
+
+    const phraseBonus = Math.max(0, ...entry.fields.map(field => {
+      if (field.text === phrase) return field.weight;
+      if (field.text.startsWith(phrase)) return field.weight * 0.75;
+      if (field.text.includes(phrase)) return field.weight * 0.5;
+      return 0;
+    }));
+
+    return total / words.length + phraseBonus + entry.boost;
+  }
+
+  _rank(entries, words, phrase, limit) {
+    return entries
+      .map(entry => ({ entry, score: this._score(entry, words, phrase) }))
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ entry, score }) => ({ ...entry.item, score: Number(score.toFixed(3)) }));
+  }
+
+  _parseQuery(q) {
+    const query = String(q || '').trim();
+    if (!query) {
+      throw new ErrorResponse('Search query is required', 400);
+    }
+    if (query.length > this.maxQueryLength) {
+      throw new ErrorResponse(`Search query must be at most ${this.maxQueryLength} characters`, 400);
+    }
+    const words = tokenize(query);
+    return { query, words, phrase: words.join(' ') };
+  }
+
+  /**
+   * Search movies, cinemas and people
+   * @param {Object} params - { q, limit }
+   * @returns {Object} { query, normalizedQuery, movies, cinemas, people }
+   */
+  async search({ q, limit } = {}) {
+    const { query, words, phrase } = this._parseQuery(q);
+    const size = Math.min(Math.max(parseInt(limit) || this.defaultLimit, 1), this.maxLimit);
+
+    if (words.length === 0) {
+      return { query, normalizedQuery: phrase, movies: [], cinemas: [], people: [] };
+    }
+
+    const index = await this._getIndex();
+    return {
+      query,
+      normalizedQuery: phrase,
+      movies: this._rank(index.movies, words, phrase, size),
+      cinemas: this._rank(index.cinemas, words, phrase, size),
+      people: this._rank(index.people, words, phrase, size)
+    };
+  }
+
+  /**
+   * Autocomplete: the best matches of every kind as one short list
+   * @returns {Array} [{ type, id, text, subtitle, score }]
+   */
+  async suggest({ q, limit } = {}) {
+    const { words, phrase } = this._parseQuery(q);
+    const size = Math.min(Math.max(parseInt(limit) || this.suggestLimit, 1), this.maxLimit);
+    if (words.length === 0) return [];
+
+    const index = await this._getIndex();
+    const suggestions = [
+      ...this._rank(index.movies, words, phrase, size).map(movie => ({
+        type: 'movie',
+        id: movie._id,
+        text: movie.title,
+        subtitle: movie.originalTitle,
+        poster: movie.poster,
+        score: movie.score
+      })),
+      ...this._rank(index.cinemas, words, phrase, size).map(cinema => ({
+        type: 'cinema',
+        id: cinema._id,
+        text: cinema.name,
+        subtitle: cinema.city,
+        score: cinema.score
+      })),
+      ...this._rank(index.people, words, phrase, size).map(person => ({
+        type: 'person',
+        text: person.name,
+        subtitle: person.movies.map(movie => movie.title).join(', '),
+        score: person.score
+      }))
+    ];
+
+    return suggestions.sort((a, b) => b.score - a.score).slice(0, size);
+  }
+}
+
+export default new SearchService();
@@ -0,0 +1,244 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Showtime from '../models/Showtime.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import seatMapService from './seatMapService.js';
+import seatRuleService from './seatRuleService.js';
+
+/**
+ * Seat Hold Service
+ * Reserves seats for a short checkout window so two customers
+ * cannot buy the same seat at the same time
+ */
+class SeatHoldService {
+  constructor() {
+    this.sweepIntervalMs = 60 * 1000;
+    this.holdMinutes = Number(process.env.SEAT_HOLD_MINUTES) || 10;
+    this.maxSeatsPerHold = Number(process.env.SEAT_HOLD_MAX_SEATS) || 10;
+    this.maxActiveHolds = Number(process.env.SEAT_HOLD_MAX_ACTIVE) || 3;
+  }
+
+  seatKey(seat) {
+    return `${seat.row}${seat.number}`;
+  }
+
+  /**
+   * Build a filter that only matches the showtime when none of the
+   * seats are booked or actively held by another hold
+   * @param {Array} seats - [{ row, number }]
+   * @param {Object} options - { excludeHoldId }
+   */
+  seatsFreeFilter(seats, { excludeHoldId } = {}) {
+    const seatConditions = seats.map(s => ({ row: String(s.row), number: Number(s.number) }));
+    const heldMatch = { $or: seatConditions, expiresAt: { $gt: new Date() } };
+    if (excludeHoldId) heldMatch.holdId = { $ne: excludeHoldId };
+
+    return {
+      bookedSeats: { $not: { $elemMatch: { $or: seatConditions } } },
+      heldSeats: { $not: { $elemMatch: heldMatch } }
+    };
+  }
+
+  /**
+   * List requested seats that are booked or held by someone else
+   */
+  getUnavailableSeats(showtime, seats, { excludeHoldId } = {}) {
+    const now = new Date();
+    const taken = new Set([
+      ...(showtime.bookedSeats || []).map(s => this.seatKey(s)),
+      ...(showtime.heldSeats || [])
+        .filter(h => h.expiresAt > now && h.holdId !== excludeHoldId)
+        .map(h => this.seatKey(h))
+    ]);
+    return seats.map(s => this.seatKey(s)).filter(key => taken.has(key));
+  }
+
+  assertSeats(seats) {
+    if (!Array.isArray(seats) || seats.length === 0) {
+      throw new ErrorResponse('Please select at least one seat', 400);
+    }
+    const keys = seats.map(s => this.seatKey(s));
+    if (new Set(keys).size !== keys.length) {
+      throw new ErrorResponse('Duplicate seats in selection', 400);
+    }
+  }
+
+  /**
+   * Number of live holds a user has across all showtimes
+   */
+  async countActiveHolds(userId) {
+    const now = new Date();
+    const holdIds = await Showtime.aggregate([
+      { $match: { heldSeats: { $elemMatch: { userId, expiresAt: { $gt: now } } } } },
+      { $unwind: '$heldSeats' },
+      { $match: { 'heldSeats.userId': userId, 'heldSeats.expiresAt': { $gt: now } } },
+      { $group: { _id: '$heldSeats.holdId' } }
+    ]);
+    return holdIds.length;
+  }
+
+  /**
+   * Keep one customer from holding a whole auditorium or many showtimes at once.
+   * The active hold count is checked before the insert, so two holds created at
+   * the same moment can both get through; expiry still bounds them.
+   */
+  async assertHoldLimits(seats, userId) {
+    if (seats.length > this.maxSeatsPerHold) {
+      throw new ErrorResponse(`You can hold at most ${this.maxSeatsPerHold} seats at a time`, 400);
+    }
+    if (await this.countActiveHolds(userId) >= this.maxActiveHolds) {
+      throw new ErrorResponse(`You can have at most ${this.maxActiveHolds} seat holds at a time, please release one first`, 429);
+    }
+  }
+
+  /**
+   * Atomically hold seats for a user
+   * @param {Object} options - { holdMinutes } to override the checkout window,
+   *   { enforceLimits: false } for staff and waitlist offers
+   * @returns {Object} { holdId, expiresAt, seats }
+   */
+  async createHold(showtimeId, seats, userId, { holdMinutes = this.holdMinutes, enforceLimits = true } = {}) {
+    this.assertSeats(seats);
+    if (enforceLimits) {
+      await this.assertHoldLimits(seats, new mongoose.Types.ObjectId(String(userId)));
+    }
+
+    const showtime = await Showtime.findById(showtimeId).populate('cinemaId');
+    if (!showtime) throw new ErrorResponse('Showtime not found', 404);
+
+    if (!showtime.isActive || showtime.status === 'cancelled' || showtime.startTime <= new Date()) {
+      throw new ErrorResponse('Showtime is not open for booking', 400);
+    }
+
+    const unsellable = seatMapService.getUnsellableSeats(showtime, showtime.cinemaId, seats);
+    if (unsellable.length > 0) {
+      throw new ErrorResponse(`Seats cannot be sold: ${unsellable.join(', ')}`, 400);
+    }
+
+    seatRuleService.validate(showtime, showtime.cinemaId, seats);
+
+    await this.releaseExpiredHolds(showtimeId);
+
+    const holdId = crypto.randomUUID();
+    const expiresAt = new Date(Date.now() + holdMinutes * 60 * 1000);
+    const heldSeats = seats.map(s => ({
+      row: String(s.row),
+      number: Number(s.number),
+      type: s.type || 'standard',
+      holdId,
+      userId,
+      expiresAt
+    }));
+
+    const result = await Showtime.updateOne(
+      { _id: showtimeId, ...this.seatsFreeFilter(seats) },
+      { $push: { heldSeats: { $each: heldSeats } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      const latest = await Showtime.findById(showtimeId);
+      const unavailable = this.getUnavailableSeats(latest, seats);
+      throw new ErrorResponse(`Seats no longer available: ${unavailable.join(', ')}`, 409);
+    }
+
+    return { holdId, expiresAt, seats: heldSeats.map(({ row, number, type }) => ({ row, number, type })) };
+  }
+
+  /**
+   * Get the seats of an active hold owned by the user
+   */
+  getActiveHold(showtime, holdId, userId) {
+    const now = new Date();
+    const seats = (showtime.heldSeats || []).filter(h =>
+      h.holdId === holdId &&
+      h.expiresAt > now &&
+      (!userId || (h.userId && h.userId.toString() === userId.toString()))
+    );
+    return seats.length > 0 ? seats : null;
+  }
+
+  /**
+   * Move seats into bookedSeats for a booking, converting the hold if given.
+   * Fails (returns false) when any seat was taken in the meantime.
+   */
+  async bookSeats(showtimeId, seats, bookingId, { holdId, session } = {}) {
+    const free = this.seatsFreeFilter(seats, { excludeHoldId: holdId });
+    // A showtime cancelled in the meantime takes no more bookings
+    const filter = { _id: showtimeId, status: { $ne: 'cancelled' }, bookedSeats: free.bookedSeats };
+    const update = {
+      $push: {
+        bookedSeats: {
+          $each: seats.map(s => ({
+            row: String(s.row),
+            number: Number(s.number),
+            type: String(s.type),
+            bookingId
+          }))
+        }
+      },
+      $inc: { availableSeats: -seats.length }
+    };
+
+    if (holdId) {
+      // The hold must still be alive and nobody else may hold these seats
+      filter.$and = [
+        { heldSeats: free.heldSeats },
+        { heldSeats: { $elemMatch: { holdId, expiresAt: { $gt: new Date() } } } }
+      ];
+      update.$pull = { heldSeats: { holdId } };
+    } else {
+      filter.heldSeats = free.heldSeats;
+    }
+
+    const result = await Showtime.updateOne(filter, update, { session });
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Release a hold before it expires
+   * @param {String} userId - only release if owned by this user (omit for staff)
+   */
+  async releaseHold(showtimeId, holdId, userId) {
+    const pull = { holdId };
+    if (userId) pull.userId = userId;
+
+    const result = await Showtime.updateOne(
+      { _id: showtimeId },
+      { $pull: { heldSeats: pull } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Remove expired holds, optionally for a single showtime
+   * @returns {Array} IDs of showtimes that had holds released
+   */
+  async releaseExpiredHolds(showtimeId) {
+    const now = new Date();
+    const filter = { 'heldSeats.expiresAt': { $lte: now } };
+    if (showtimeId) filter._id = showtimeId;
+
+    const showtimeIds = await Showtime.distinct('_id', filter);
+    if (showtimeIds.length === 0) return [];
+
+    await Showtime.updateMany(
+      { _id: { $in: showtimeIds } },
+      { $pull: { heldSeats: { expiresAt: { $lte: now } } } }
+    );
+    return showtimeIds;
+  }
+
+  /**
+   * Release expired holds and notify seat map viewers; run by the job runner
+   * @returns {Array} Transitions for the job run
+   */
+  async sweepExpiredHolds(io) {
+    const showtimeIds = await this.releaseExpiredHolds();
+    return showtimeIds.map(id => {
+      io.to(`showtime-${id}`).emit('seat-hold-update', { showtimeId: id, released: true });
+      return { model: 'Showtime', documentId: id, label: 'expired seat holds', field: 'heldSeats', from: 'held', to: 'released' };
+    });
+  }
+}
+
+export default new SeatHoldService();
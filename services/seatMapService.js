@@ -0,0 +1,160 @@
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import pricingService from './pricingService.js';
+
+/**
+ * Seat Map Service
+ * Merges the screen seat layout with a showtime's bookings and holds
+ */
+class SeatMapService {
+  seatKey(seat) {
+    return `${seat.row}${seat.number}`;
+  }
+
+  getScreen(showtime, cinema) {
+    if (!cinema || !cinema.screens || !showtime.screenId) return null;
+    return cinema.screens.id(showtime.screenId) || null;
+  }
+
+  // Seats under a maintenance window that overlaps the showing
+  _maintenanceWindowKeys(showtime, screen) {
+    const startTime = showtime.startTime;
+    const endTime = showtime.endTime || showtime.startTime;
+    return ((screen && screen.seatMaintenance) || [])
+      .filter(entry => entry.from < endTime && (!entry.until || entry.until > startTime))
+      .map(entry => this.seatKey(entry));
+  }
+
+  /**
+   * Seat layout of a showtime: the snapshot taken when it was created, or the
+   * live screen layout for showtimes from before snapshots were kept.
+   * Seats are under maintenance when a window covers the showing, or when
+   * flagged on the screen while its layout is still the snapshotted one.
+   */
+  getLayout(showtime, cinema) {
+    const screen = this.getScreen(showtime, cinema);
+    const liveLayout = (screen && screen.seats && screen.seats.layout) || [];
+    const hasSnapshot = Boolean(showtime.seatLayout && showtime.seatLayout.length > 0);
+
+    const sameVersion = !hasSnapshot || (screen && showtime.room &&
+      ((screen.seats && screen.seats.layoutVersion) || 1) === (showtime.room.layoutVersion || 1));
+    const maintenance = new Set([
+      ...(sameVersion ? liveLayout.flat().filter(seat => seat.status === 'maintenance').map(seat => this.seatKey(seat)) : []),
+      ...this._maintenanceWindowKeys(showtime, screen)
+    ]);
+
+    return (hasSnapshot ? showtime.seatLayout : liveLayout).map(row => row.map(seat => ({
+      row: seat.row,
+      number: seat.number,
+      type: seat.type,
+      status: maintenance.has(this.seatKey(seat)) ? 'maintenance' : 'available'
+    })));
+  }
+
+  _statusSets(showtime) {
+    const now = new Date();
+    return {
+      booked: new Set((showtime.bookedSeats || []).map(s => this.seatKey(s))),
+      held: new Set((showtime.heldSeats || []).filter(h => h.expiresAt > now).map(h => this.seatKey(h))),
+      blocked: new Set((showtime.blockedSeats || []).map(s => this.seatKey(s)))
+    };
+  }
+
+  _seatStatus(seat, sets) {
+    const key = this.seatKey(seat);
+    if (sets.booked.has(key)) return 'booked';
+    if (sets.held.has(key)) return 'held';
+    if (seat.status === 'maintenance') return 'maintenance';
+    if (sets.blocked.has(key)) return 'blocked';
+    return 'available';
+  }
+
+  /**
+   * Full seat grid of the showtime's screen with per-seat status and price
+   * @param {Object} showtime - Showtime document
+   * @param {Object} cinema - Cinema document of the showtime
+   * @returns {Object} Seat map
+   */
+  buildSeatMap(showtime, cinema) {
+    const screen = this.getScreen(showtime, cinema);
+    const layout = this.getLayout(showtime, cinema);
+
+    if (layout.length === 0) {
+      throw new ErrorResponse('Seat layout is not configured for this screen', 404);
+    }
+
+    const prices = {};
+    pricingService.seatTypes.forEach(type => {
+      prices[type] = pricingService.priceSeat(type, showtime, cinema).price;
+    });
+
+    const sets = this._statusSets(showtime);
+    const summary = { total: 0, available: 0, held: 0, booked: 0, maintenance: 0, blocked: 0 };
+
+    const rows = layout.map(rowSeats => ({
+      row: rowSeats.length > 0 ? rowSeats[0].row : null,
+      seats: rowSeats.map(seat => {
+        const status = this._seatStatus(seat, sets);
+        summary.total++;
+        summary[status]++;
+
+        return {
+          row: seat.row,
+          number: seat.number,
+          type: seat.type,
+          price: prices[seat.type],
+          status
+        };
+      })
+    }));
+
+    return {
+      showtimeId: showtime._id,
+      // A snapshotted showtime can outlive its screen, so fall back to its room
+      screen: {
+        id: screen ? screen._id : showtime.screenId || null,
+        name: screen ? screen.name : showtime.room && showtime.room.name,
+        screenType: pricingService.getScreenType(showtime, cinema)
+      },
+      prices,
+      rows,
+      summary
+    };
+  }
+
+  /**
+   * Keys of seats that cannot be picked right now: booked, actively held,
+   * blocked or under maintenance
+   * @returns {Set} Seat keys like 'A5'
+   */
+  getTakenSeatKeys(showtime, cinema) {
+    const sets = this._statusSets(showtime);
+    const taken = new Set([...sets.booked, ...sets.held, ...sets.blocked]);
+    this.getLayout(showtime, cinema).forEach(rowSeats => rowSeats.forEach(seat => {
+      if (seat.status === 'maintenance') taken.add(this.seatKey(seat));
+    }));
+    return taken;
+  }
+
+  /**
+   * Seats that can never be sold for this showtime: missing from the layout,
+   * under maintenance or blocked. Screens without a layout accept any seat.
+   * @returns {Array} Seat keys like 'A5'
+   */
+  getUnsellableSeats(showtime, cinema, seats) {
+    const layout = this.getLayout(showtime, cinema);
+    if (layout.length === 0) return [];
+
+    const layoutSeats = new Map();
+    layout.forEach(rowSeats => rowSeats.forEach(seat => layoutSeats.set(this.seatKey(seat), seat)));
+    const blocked = this._statusSets(showtime).blocked;
+
+    return seats
+      .map(s => this.seatKey(s))
+      .filter(key => {
+        const seat = layoutSeats.get(key);
+        return !seat || seat.status === 'maintenance' || blocked.has(key);
+      });
+  }
+}
+
+export default new SeatMapService();
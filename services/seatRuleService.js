@@ -0,0 +1,141 @@
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import seatMapService from './seatMapService.js';
+
+/**
+ * Seat Rule Service
+ * Rejects seat selections that leave single empty seats behind
+ * or split couple seats. Each rule can be turned off per cinema.
+ */
+class SeatRuleService {
+  seatKey(seat) {
+    return `${seat.row}${seat.number}`;
+  }
+
+  /**
+   * Split a layout row into runs of consecutive seat numbers (aisles break a run)
+   */
+  segments(rowSeats) {
+    const sorted = [...rowSeats].sort((a, b) => a.number - b.number);
+    const segments = [];
+    sorted.forEach((seat, index) => {
+      if (index === 0 || seat.number !== sorted[index - 1].number + 1) {
+        segments.push([]);
+      }
+      segments[segments.length - 1].push(seat);
+    });
+    return segments;
+  }
+
+  /**
+   * Keys of free seats that sit alone between taken seats or a row edge
+   */
+  _orphanKeys(segment, taken) {
+    const orphans = [];
+    let run = [];
+
+    const closeRun = () => {
+      if (run.length === 1) orphans.push(run[0]);
+      run = [];
+    };
+
+    segment.forEach(seat => {
+      const key = this.seatKey(seat);
+      if (taken.has(key)) {
+        closeRun();
+      } else {
+        run.push(key);
+      }
+    });
+    closeRun();
+
+    return orphans;
+  }
+
+  /**
+   * Seats the selection would leave isolated that were not isolated before
+   */
+  findNewOrphanSeats(layout, taken, selectedKeys) {
+    const before = new Set([...taken].filter(key => !selectedKeys.has(key)));
+    const after = new Set([...before, ...selectedKeys]);
+    const created = [];
+
+    layout.forEach(rowSeats => {
+      const touchesRow = rowSeats.some(seat => selectedKeys.has(this.seatKey(seat)));
+      if (!touchesRow) return;
+
+      this.segments(rowSeats).forEach(segment => {
+        const orphansBefore = new Set(this._orphanKeys(segment, before));
+        this._orphanKeys(segment, after)
+          .filter(key => !orphansBefore.has(key))
+          .forEach(key => created.push(key));
+      });
+    });
+
+    return created;
+  }
+
+  /**
+   * Couple seats selected without the other half of their pair.
+   * Consecutive couple seats in a row pair up two by two.
+   */
+  findSplitCoupleSeats(layout, selectedKeys) {
+    const split = [];
+
+    layout.forEach(rowSeats => {
+      this.segments(rowSeats).forEach(segment => {
+        let run = [];
+        const checkRun = () => {
+          for (let i = 0; i + 1 < run.length; i += 2) {
+            const [first, second] = [this.seatKey(run[i]), this.seatKey(run[i + 1])];
+            if (selectedKeys.has(first) !== selectedKeys.has(second)) {
+              split.push(selectedKeys.has(first) ? first : second);
+            }
+          }
+          run = [];
+        };
+
+        segment.forEach(seat => {
+          if (seat.type === 'couple') {
+            run.push(seat);
+          } else {
+            checkRun();
+          }
+        });
+        checkRun();
+      });
+    });
+
+    return split;
+  }
+
+  /**
+   * Validate a seat selection against the cinema's seat rules
+   * @param {Object} showtime - Showtime document
+   * @param {Object} cinema - Cinema document of the showtime
+   * @param {Array} seats - [{ row, number }]
+   */
+  validate(showtime, cinema, seats) {
+    const layout = seatMapService.getLayout(showtime, cinema);
+    if (layout.length === 0) return;
+
+    const rules = (cinema && cinema.seatRules) || {};
+    const selectedKeys = new Set(seats.map(s => this.seatKey(s)));
+
+    if (rules.coupleSeatsInPairs !== false) {
+      const split = this.findSplitCoupleSeats(layout, selectedKeys);
+      if (split.length > 0) {
+        throw new ErrorResponse(`Couple seats must be booked in pairs: ${split.join(', ')}`, 400);
+      }
+    }
+
+    if (rules.preventOrphanSeats !== false) {
+      const taken = seatMapService.getTakenSeatKeys(showtime, cinema);
+      const orphans = this.findNewOrphanSeats(layout, taken, selectedKeys);
+      if (orphans.length > 0) {
+        throw new ErrorResponse(`Selection would leave single empty seats: ${orphans.join(', ')}`, 400);
+      }
+    }
+  }
+}
+
+export default new SeatRuleService();
@@ -0,0 +1,149 @@
+import Showtime from '../models/Showtime.model.js';
+import Booking from '../models/Booking.model.js';
+import User from '../models/User.model.js';
+import Movie from '../models/Movie.model.js';
+import Cinema from '../models/Cinema.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import { sendShowtimeCancellation } from '../utils/email.js';
+import { logger } from '../utils/logger.js';
+import refundService from './refundService.js';
+import waitlistService from './waitlistService.js';
+
+/**
+ * Showtime Cancellation Service
+ * Calls a showtime off: closes it for sale, cancels and fully refunds
+ * every booking and tells each customer which showings they can pick instead
+ */
+class ShowtimeCancellationService {
+  constructor() {
+    this.alternativeLimit = 5;
+  }
+
+  /**
+   * Upcoming showings of the same movie at the same cinema that still have seats
+   */
+  async findAlternatives(showtime, limit = this.alternativeLimit) {
+    return Showtime.find({
+      _id: { $ne: showtime._id },
+      movieId: showtime.movieId,
+      cinemaId: showtime.cinemaId,
+      isActive: true,
+      status: { $ne: 'cancelled' },
+      startTime: { $gt: new Date() },
+      availableSeats: { $gt: 0 }
+    })
+      .select('startTime endTime room screenId availableSeats price')
+      .sort({ startTime: 1 })
+      .limit(limit);
+  }
+
+  // Organizer plus everyone in a group who paid or holds seats
+  _recipientIds(booking) {
+    const ids = new Set();
+    if (booking.userId) ids.add(booking.userId.toString());
+    if (booking.groupBooking && booking.groupBooking.isGroup) {
+      booking.groupBooking.participants
+        .filter(p => p.userId && ['joined', 'paid'].includes(p.status))
+        .forEach(p => ids.add(p.userId.toString()));
+    }
+    return [...ids];
+  }
+
+  async _notify(booking, details) {
+    const users = await User.find({ _id: { $in: this._recipientIds(booking) } }).select('fullName email');
+    for (const user of users) {
+      await sendShowtimeCancellation(user, { booking, ...details });
+    }
+  }
+
+  /**
+   * Cancel a showtime and every booking on it. Running it again on a
+   * cancelled showtime retries the bookings that failed the first time.
+   * @param {Object} options - { reason }
+   * @returns {Object} { showtime, summary, alternatives }
+   */
+  async cancel(showtimeId, { reason }, admin) {
+    if (!reason || !String(reason).trim()) {
+      throw new ErrorResponse('Please provide a cancellation reason', 400);
+    }
+
+    // Close the showtime first so no new booking or hold can be made on it
+    let showtime = await Showtime.findOneAndUpdate(
+      { _id: showtimeId, status: { $ne: 'cancelled' } },
+      {
+        $set: {
+          status: 'cancelled',
+          heldSeats: [],
+          cancellation: { reason, cancelledBy: admin._id, cancelledAt: new Date() }
+        }
+      },
+      { new: true }
+    );
+    if (!showtime) {
+      showtime = await Showtime.findById(showtimeId);
+      if (!showtime) throw new ErrorResponse('Showtime not found', 404);
+    }
+    const cancellationReason = showtime.cancellation.reason || reason;
+
+    await waitlistService.closeShowtime(showtime._id);
+
+    const [movie, cinema, alternatives] = await Promise.all([
+      Movie.findById(showtime.movieId).select('title'),
+      Cinema.findById(showtime.cinemaId).select('name'),
+      this.findAlternatives(showtime)
+    ]);
+
+    const bookings = await Booking.find({ showtimeId: showtime._id, status: { $in: ['pending', 'confirmed'] } });
+
+    const summary = { bookings: bookings.length, cancelled: 0, refundedAmount: 0, refundsFailed: 0, cashRefundsPending: 0, failed: [] };
+    for (const booking of bookings) {
+      let result;
+      try {
+        result = await refundService.cancelForShowtime(booking, {
+          reason: `Showtime cancelled: ${cancellationReason}`,
+          processedBy: admin
+        });
+      } catch (error) {
+        logger.error(`Showtime cancellation failed for booking ${booking._id}:`, error);
+        summary.failed.push({ bookingId: booking._id, error: error.message });
+        continue;
+      }
+
+      summary.cancelled++;
+      summary.refundedAmount += result.refund.amount;
+      // Failed provider refunds stay on the refund and can be retried from the booking
+      if (result.refund.status === 'failed') summary.refundsFailed++;
+      // Cash is owed until the customer collects it at the counter
+      if (result.refund.method === 'cash' && result.refund.status === 'pending') summary.cashRefundsPending++;
+
+      try {
+        await this._notify(booking, {
+          showtime,
+          movie,
+          cinema,
+          reason: cancellationReason,
+          refund: result.refund,
+          alternatives
+        });
+      } catch (error) {
+        logger.error(`Showtime cancellation email failed for booking ${booking._id}:`, error);
+      }
+    }
+
+    showtime = await Showtime.findByIdAndUpdate(
+      showtime._id,
+      {
+        $set: {
+          'cancellation.bookingsCancelled': (showtime.cancellation.bookingsCancelled || 0) + summary.cancelled,
+          'cancellation.refundedAmount': (showtime.cancellation.refundedAmount || 0) + summary.refundedAmount,
+          'cancellation.failedBookings': summary.failed
+        }
+      },
+      { new: true }
+    );
+
+    return { showtime, summary, alternatives };
+  }
+}
+
+export default new ShowtimeCancellationService();
@@ -0,0 +1,217 @@
+import QRCode from 'qrcode';
+import { PdfDocument, PAGE_SIZES } from '../utils/pdf.js';
+import { EscPosBuilder } from '../utils/escpos.js';
+import { signTicketToken } from '../utils/ticketToken.js';
+import bookingService from './bookingService.js';
+
+/**
+ * Ticket Print Service
+ * Renders tickets on the server: JSON for the web app, an A6 PDF
+ * and an ESC/POS stream for the 80mm counter printers
+ */
+class TicketPrintService {
+  constructor() {
+    this.formats = ['json', 'pdf', 'escpos'];
+  }
+
+  _formatMoney(amount) {
+    return `${Number(amount || 0).toLocaleString('vi-VN')} VND`;
+  }
+
+  // Printers and the built-in PDF fonts have no Vietnamese glyphs
+  _toAscii(text) {
+    return String(text === undefined || text === null ? '' : text)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .replace(/đ/g, 'd')
+      .replace(/Đ/g, 'D')
+      .replace(/[^\x20-\x7e]/g, '?');
+  }
+
+  /**
+   * Collect everything printed on the tickets of a booking
+   * @param {Object} booking - Booking with movieId, showtimeId, cinemaId and userId populated
+   * @returns {Object} Ticket data
+   */
+  getTicketData(booking) {
+    const movie = booking.movieId;
+    const showtime = booking.showtimeId;
+    const cinema = booking.cinemaId;
+    const startTime = new Date(showtime.startTime);
+
+    const ids = {
+      _id: booking._id,
+      bookingCode: booking.bookingCode,
+      showtimeId: showtime._id,
+      cinemaId: cinema._id
+    };
+
+    // One printed ticket per seat that can still be used
+    const active = bookingService.activeTickets(booking);
+    const tickets = active.map(seat => ({
+      ticketCode: seat.ticketCode || `${booking.bookingCode}-${seat.row}${seat.number}`,
+      seat: `${seat.row}${seat.number}`,
+      type: seat.type,
+      price: seat.price,
+      token: signTicketToken(ids, seat)
+    }));
+
+    return {
+      bookingCode: booking.bookingCode,
+      qrCode: booking.qrCode,
+      token: signTicketToken(ids),
+      movie: {
+        title: movie.title,
+        duration: movie.duration,
+        ageRating: movie.ageRating
+      },
+      cinema: {
+        name: cinema.name,
+        address: cinema.location && cinema.location.address
+      },
+      showtime: {
+        date: startTime.toLocaleDateString('vi-VN', {
+          weekday: 'long',
+          year: 'numeric',
+          month: 'long',
+          day: 'numeric'
+        }),
+        time: startTime.toLocaleTimeString('vi-VN', {
+          hour: '2-digit',
+          minute: '2-digit'
+        }),
+        room: showtime.room && showtime.room.name
+      },
+      seats: active.map(s => `${s.row}${s.number}`).join(', '),
+      tickets,
+      combos: (booking.combos || []).map(({ name, quantity, price }) => ({ name, quantity, price })),
+      totalAmount: booking.totalAmount,
+      finalAmount: booking.finalAmount,
+      customer: {
+        name: (booking.userId && booking.userId.fullName) ||
+          (booking.customerInfo && booking.customerInfo.name) || 'Khách hàng',
+        email: (booking.userId && booking.userId.email) || ''
+      },
+      createdAt: new Date(booking.createdAt).toLocaleDateString('vi-VN')
+    };
+  }
+
+  // Printed tickets, or the whole booking when it has no active seat tickets
+  _printTickets(data) {
+    return data.tickets.length > 0
+      ? data.tickets
+      : [{ ticketCode: data.bookingCode, seat: data.seats, token: data.token }];
+  }
+
+  /**
+   * A6 PDF with one page per ticket; combos are printed on the first page
+   * @returns {Buffer} PDF file
+   */
+  renderPdf(data) {
+    const a = text => this._toAscii(text);
+    const doc = new PdfDocument(PAGE_SIZES.A6);
+    const margin = 20;
+    const right = doc.width - margin;
+
+    this._printTickets(data).forEach((ticket, index) => {
+      doc.addPage();
+      let y = 32;
+
+      doc.text(0, y, a(data.cinema.name), { size: 13, bold: true, align: 'center' });
+      y += 14;
+      if (data.cinema.address) {
+        doc.text(0, y, a(data.cinema.address), { size: 7, align: 'center' });
+        y += 10;
+      }
+      doc.line(margin, y, right, y, { dash: 2 });
+      y += 20;
+
+      doc.text(margin, y, a(data.movie.title), { size: 12, bold: true });
+      doc.text(right, y, a(data.movie.ageRating), { size: 12, bold: true, align: 'right' });
+      y += 18;
+
+      doc.text(margin, y, a(`${data.showtime.date}`), { size: 9 });
+      y += 13;
+      doc.text(margin, y, 'Time', { size: 9 });
+      doc.text(right, y, a(data.showtime.time), { size: 11, bold: true, align: 'right' });
+      y += 14;
+      doc.text(margin, y, 'Room', { size: 9 });
+      doc.text(right, y, a(data.showtime.room), { size: 11, bold: true, align: 'right' });
+      y += 14;
+      doc.text(margin, y, 'Seat', { size: 9 });
+      doc.text(right, y, a(ticket.seat), { size: 11, bold: true, align: 'right' });
+      y += 14;
+      if (ticket.price) {
+        doc.text(margin, y, 'Price', { size: 9 });
+        doc.text(right, y, a(this._formatMoney(ticket.price)), { size: 9, align: 'right' });
+        y += 14;
+      }
+
+      if (index === 0 && data.combos.length > 0) {
+        doc.line(margin, y - 4, right, y - 4, { dash: 2 });
+        y += 8;
+        data.combos.forEach(combo => {
+          doc.text(margin, y, a(`${combo.quantity} x ${combo.name}`), { size: 8 });
+          doc.text(right, y, a(this._formatMoney(combo.price * combo.quantity)), { size: 8, align: 'right' });
+          y += 11;
+        });
+      }
+
+      const qrSize = 110;
+      const modules = QRCode.create(ticket.token, { errorCorrectionLevel: 'M' }).modules;
+      const qrTop = Math.max(y + 6, doc.height - qrSize - 50);
+      doc.qr((doc.width - qrSize) / 2, qrTop, modules, qrSize);
+
+      doc.text(0, qrTop + qrSize + 14, a(ticket.ticketCode), { size: 8, align: 'center' });
+      doc.text(0, qrTop + qrSize + 26, a(data.customer.name), { size: 7, align: 'center' });
+    });
+
+    return doc.toBuffer();
+  }
+
+  /**
+   * ESC/POS stream for 80mm printers: one cut receipt per ticket
+   * @returns {Buffer} Printer bytes
+   */
+  renderEscPos(data) {
+    const a = text => this._toAscii(text);
+    const printer = new EscPosBuilder({ paper: '80mm' });
+
+    this._printTickets(data).forEach((ticket, index) => {
+      printer
+        .align('center').bold().size(2).text(a(data.cinema.name))
+        .size(1).bold(false);
+      if (data.cinema.address) printer.text(a(data.cinema.address));
+      printer.separator();
+
+      printer
+        .align('left').bold().size(1, 2).text(a(data.movie.title))
+        .size(1).bold(false)
+        .row('Rated', a(data.movie.ageRating))
+        .row('Date', a(data.showtime.date))
+        .row('Time', a(data.showtime.time))
+        .row('Room', a(data.showtime.room))
+        .bold().row('Seat', a(ticket.seat)).bold(false);
+      if (ticket.price) printer.row('Price', a(this._formatMoney(ticket.price)));
+
+      if (index === 0 && data.combos.length > 0) {
+        printer.separator();
+        data.combos.forEach(combo => {
+          printer.row(a(`${combo.quantity} x ${combo.name}`), a(this._formatMoney(combo.price * combo.quantity)));
+        });
+      }
+
+      printer
+        .separator()
+        .align('center').qr(ticket.token).feed(1)
+        .text(a(ticket.ticketCode))
+        .text(a(data.customer.name))
+        .feed(3)
+        .cut();
+    });
+
+    return printer.toBuffer();
+  }
+}
+
+export default new TicketPrintService();
@@ -0,0 +1,287 @@
+import Showtime from '../models/Showtime.model.js';
+import WaitlistEntry from '../models/WaitlistEntry.model.js';
+import { ErrorResponse } from '../middleware/error.middleware.js';
+import { sendWaitlistOffer } from '../utils/email.js';
+import { logger } from '../utils/logger.js';
+import seatHoldService from './seatHoldService.js';
+import seatMapService from './seatMapService.js';
+import bestSeatService from './bestSeatService.js';
+import pricingService from './pricingService.js';
+
+/**
+ * Waitlist Service
+ * Customers queue for sold-out showtimes; seats that come back are held
+ * for the next customer in line for a short claim window
+ */
+class WaitlistService {
+  constructor() {
+    this.sweepIntervalMs = 30 * 1000;
+    this.claimMinutes = Number(process.env.WAITLIST_CLAIM_MINUTES) || 10;
+  }
+
+  _isOpen(showtime) {
+    return showtime.isActive && showtime.status !== 'cancelled' && showtime.startTime > new Date();
+  }
+
+  _findBlock(showtime, seatCount, seatType) {
+    const [best] = bestSeatService.findBestSeats(showtime, showtime.cinemaId, {
+      partySize: seatCount,
+      seatType,
+      limit: 1
+    });
+    return best ? best.seats : null;
+  }
+
+  /**
+   * Join the waitlist of a showtime that cannot seat the party right now
+   * @param {Object} request - { seatCount, seatType }
+   */
+  async join(showtimeId, user, { seatCount, seatType = 'standard' }) {
+    const count = Number(seatCount);
+    if (!Number.isInteger(count) || count < 1 || count > bestSeatService.maxPartySize) {
+      throw new ErrorResponse(`Seat count must be between 1 and ${bestSeatService.maxPartySize}`, 400);
+    }
+    if (!pricingService.seatTypes.includes(seatType)) {
+      throw new ErrorResponse(`Seat type must be one of: ${pricingService.seatTypes.join(', ')}`, 400);
+    }
+
+    const showtime = await Showtime.findById(showtimeId).populate('cinemaId');
+    if (!showtime) throw new ErrorResponse('Showtime not found', 404);
+    if (!this._isOpen(showtime)) {
+      throw new ErrorResponse('Showtime is not open for booking', 400);
+    }
+
+    const hasLayout = seatMapService.getLayout(showtime, showtime.cinemaId).length > 0;
+    const available = hasLayout
+      ? Boolean(this._findBlock(showtime, count, seatType))
+      : showtime.availableSeats >= count;
+    if (available) {
+      throw new ErrorResponse('Seats are still available, please book them directly', 400);
+    }
+
+    try {
+      const entry = await WaitlistEntry.create({
+        showtimeId,
+        userId: user._id,
+        seatCount: count,
+        seatType
+      });
+      return { entry, position: await this.getPosition(entry) };
+    } catch (error) {
+      // Unique index on live entries per user and showtime
+      if (error.code === 11000) {
+        throw new ErrorResponse('You are already on the waitlist for this showtime', 400);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Place in line of a waiting entry, starting at 1
+   */
+  async getPosition(entry) {
+    if (entry.status !== 'waiting') return null;
+    const ahead = await WaitlistEntry.countDocuments({
+      showtimeId: entry.showtimeId,
+      status: 'waiting',
+      createdAt: { $lt: entry.createdAt }
+    });
+    return ahead + 1;
+  }
+
+  async getEntry(showtimeId, userId) {
+    return WaitlistEntry.findOne({ showtimeId, userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Leave the waitlist, giving up any seats currently offered
+   * @returns {Object|null} The entry as it was before leaving
+   */
+  async leave(showtimeId, userId) {
+    const entry = await WaitlistEntry.findOneAndUpdate(
+      { showtimeId, userId, status: { $in: ['waiting', 'offered'] } },
+      { $set: { status: 'cancelled', closedAt: new Date() } }
+    );
+
+    if (entry && entry.status === 'offered') {
+      await seatHoldService.releaseHold(showtimeId, entry.offer.holdId, userId);
+    }
+    return entry;
+  }
+
+  /**
+   * Close the entry whose offered hold was turned into a booking.
+   * An offer that expired while checkout was finishing still counts.
+   */
+  async markClaimed(holdId, bookingId) {
+    return WaitlistEntry.findOneAndUpdate(
+      { 'offer.holdId': holdId, status: { $in: ['offered', 'expired'] } },
+      { $set: { status: 'claimed', bookingId, closedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Hold seats for one entry and tell the customer
+   * @returns {Object|null} Updated entry, null when the seats could not be held
+   */
+  async _offer(entry, showtime, seats, io) {
+    // Take the entry first so overlapping sweeps cannot offer it twice
+    const taken = await WaitlistEntry.findOneAndUpdate(
+      { _id: entry._id, status: 'waiting' },
+      { $set: { status: 'offered' } }
+    );
+    if (!taken) return null;
+
+    let hold;
+    try {
+      hold = await seatHoldService.createHold(showtime._id, seats, entry.userId._id, {
+        holdMinutes: this.claimMinutes,
+        enforceLimits: false
+      });
+    } catch (error) {
+      await WaitlistEntry.updateOne({ _id: entry._id, status: 'offered' }, { $set: { status: 'waiting' } });
+      logger.warn(`Waitlist offer failed for ${entry._id}: ${error.message}`);
+      return null;
+    }
+
+    // Saved before notifying so a fast checkout can already claim it
+    const offer = {
+      holdId: hold.holdId,
+      seats: hold.seats,
+      offeredAt: new Date(),
+      expiresAt: hold.expiresAt
+    };
+    await WaitlistEntry.updateOne({ _id: entry._id }, { $set: { offer } });
+
+    io.to(`user-${entry.userId._id}`).emit('waitlist-offer', {
+      entryId: entry._id,
+      showtimeId: showtime._id,
+      ...offer
+    });
+    io.to(`showtime-${showtime._id}`).emit('seat-hold-update', {
+      showtimeId: showtime._id,
+      heldSeats: hold.seats,
+      expiresAt: hold.expiresAt
+    });
+
+    const notifiedVia = ['socket'];
+    if (entry.userId.email && await sendWaitlistOffer(entry.userId, showtime, offer)) {
+      notifiedVia.push('email');
+    }
+
+    return WaitlistEntry.findByIdAndUpdate(entry._id, { $set: { 'offer.notifiedVia': notifiedVia } }, { new: true });
+  }
+
+  /**
+   * Offer free seats of a showtime to waiting customers in the order they
+   * joined. An entry is skipped while no block of its size and type is free.
+   * @returns {Array} Entries that received an offer
+   */
+  async offerSeats(showtimeId, io) {
+    const entries = await WaitlistEntry.find({ showtimeId, status: 'waiting' })
+      .sort({ createdAt: 1 })
+      .populate('userId', 'fullName email');
+    if (entries.length === 0) return [];
+
+    let showtime = await Showtime.findById(showtimeId).populate('cinemaId');
+    if (!showtime || !this._isOpen(showtime)) {
+      await WaitlistEntry.updateMany(
+        { showtimeId, status: 'waiting' },
+        { $set: { status: 'expired', closedAt: new Date() } }
+      );
+      return [];
+    }
+    if (seatMapService.getLayout(showtime, showtime.cinemaId).length === 0) return [];
+
+    const offered = [];
+    for (const entry of entries) {
+      if (!entry.userId || showtime.availableSeats < entry.seatCount) continue;
+
+      const seats = this._findBlock(showtime, entry.seatCount, entry.seatType);
+      if (!seats) continue;
+
+      const updated = await this._offer(entry, showtime, seats, io);
+      if (!updated) continue;
+      offered.push(updated);
+
+      // The new hold changes which seats the next entry can get
+      showtime = await Showtime.findById(showtimeId).populate('cinemaId');
+    }
+    return offered;
+  }
+
+  /**
+   * Offer seats after a cancellation, refund or expiry without failing the caller.
+   * Never rejects, so controllers call it without awaiting the offers.
+   */
+  async offerReleasedSeats(showtimeId, io) {
+    try {
+      return await this.offerSeats(showtimeId, io);
+    } catch (error) {
+      logger.error(`Waitlist offer failed for showtime ${showtimeId}:`, error);
+      return [];
+    }
+  }
+
+  /**
+   * Close every live entry of a cancelled showtime
+   */
+  async closeShowtime(showtimeId) {
+    const result = await WaitlistEntry.updateMany(
+      { showtimeId, status: { $in: ['waiting', 'offered'] } },
+      { $set: { status: 'cancelled', closedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  /**
+   * Close offers whose claim window passed and release their held seats
+   * @returns {Array} IDs of showtimes that got seats back
+   */
+  async expireOffers() {
+    const now = new Date();
+    const entries = await WaitlistEntry.find({ status: 'offered', 'offer.expiresAt': { $lte: now } });
+
+    const showtimeIds = new Set();
+    for (const entry of entries) {
+      const expired = await WaitlistEntry.findOneAndUpdate(
+        { _id: entry._id, status: 'offered' },
+        { $set: { status: 'expired', closedAt: now } }
+      );
+      if (!expired) continue;
+
+      await seatHoldService.releaseHold(entry.showtimeId, entry.offer.holdId);
+      showtimeIds.add(entry.showtimeId.toString());
+    }
+    return [...showtimeIds];
+  }
+
+  /**
+   * Release lapsed offers and offer free seats to waiting customers; run by the job runner
+   * @returns {Array} Transitions for the job run
+   */
+  async sweepOffers(io) {
+    const released = await this.expireOffers();
+    released.forEach(id => {
+      io.to(`showtime-${id}`).emit('seat-hold-update', { showtimeId: id, released: true });
+    });
+
+    const offered = [];
+    const showtimeIds = await WaitlistEntry.distinct('showtimeId', { status: 'waiting' });
+    for (const showtimeId of showtimeIds) {
+      offered.push(...await this.offerReleasedSeats(showtimeId, io));
+    }
+
+    return offered.map(entry => ({
+      model: 'WaitlistEntry',
+      documentId: entry._id,
+      label: `showtime ${entry.showtimeId}`,
+      field: 'status',
+      from: 'waiting',
+      to: 'offered'
+    }));
+  }
+}
+
+export default new WaitlistService();
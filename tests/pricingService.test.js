@@ -0,0 +1,95 @@
+import pricingService from '../services/pricingService.js';
+
+// Wednesday and Saturday evening, local time
+const WEEKDAY = new Date(2026, 9, 21, 19, 0);
+const WEEKEND = new Date(2026, 9, 24, 19, 0);
+
+const showtimeAt = (startTime, fields = {}) => ({ startTime, room: { name: 'Room 1' }, ...fields });
+
+describe('pricingService.priceSeat', () => {
+  test('falls back to the default price on a 2D screen', () => {
+    expect(pricingService.priceSeat('standard', showtimeAt(WEEKDAY), null)).toEqual({
+      basePrice: 75000,
+      surcharge: 0,
+      specialDiscount: 0,
+      price: 75000
+    });
+  });
+
+  test('uses the cinema price list for the day type', () => {
+    const cinema = { priceList: { vip: { weekday: 90000, weekend: 110000 } } };
+
+    expect(pricingService.priceSeat('vip', showtimeAt(WEEKDAY), cinema).price).toBe(90000);
+    expect(pricingService.priceSeat('vip', showtimeAt(WEEKEND), cinema).price).toBe(110000);
+  });
+
+  test('prefers the showtime price over the cinema price list', () => {
+    const cinema = { priceList: { standard: { weekday: 80000, weekend: 100000 } } };
+    const showtime = showtimeAt(WEEKEND, { price: { standard: 60000 } });
+
+    expect(pricingService.priceSeat('standard', showtime, cinema).basePrice).toBe(60000);
+  });
+
+  test('adds the surcharge of the snapshotted screen type', () => {
+    const showtime = showtimeAt(WEEKDAY, { room: { name: 'IMAX 1', screenType: 'IMAX' } });
+
+    const seat = pricingService.priceSeat('standard', showtime, null);
+    expect(seat.surcharge).toBe(50000);
+    expect(seat.price).toBe(125000);
+  });
+
+  test('reads the legacy room type of older showtimes', () => {
+    const showtime = showtimeAt(WEEKDAY, { room: { name: '4DX', type: '4dx' } });
+
+    expect(pricingService.getScreenType(showtime, null)).toBe('4DX');
+  });
+
+  test('applies a special price discount of up to 100 as a percentage', () => {
+    const showtime = showtimeAt(WEEKDAY, {
+      room: { name: '3D', screenType: '3D' },
+      specialPrice: { isActive: true, discount: 20 }
+    });
+
+    const seat = pricingService.priceSeat('standard', showtime, null);
+    expect(seat.specialDiscount).toBe(19000);
+    expect(seat.price).toBe(76000);
+  });
+
+  test('applies a larger special price discount as a fixed amount, never below zero', () => {
+    const fixed = showtimeAt(WEEKDAY, { specialPrice: { isActive: true, discount: 15000 } });
+    const excessive = showtimeAt(WEEKDAY, { specialPrice: { isActive: true, discount: 500000 } });
+    const inactive = showtimeAt(WEEKDAY, { specialPrice: { isActive: false, discount: 15000 } });
+
+    expect(pricingService.priceSeat('standard', fixed, null).price).toBe(60000);
+    expect(pricingService.priceSeat('standard', excessive, null).price).toBe(0);
+    expect(pricingService.priceSeat('standard', inactive, null).price).toBe(75000);
+  });
+});
+
+describe('pricingService.quote', () => {
+  const layout = [[
+    { row: 'A', number: 1, type: 'standard' },
+    { row: 'A', number: 2, type: 'vip' }
+  ]];
+
+  test('prices seats by their type in the layout, not the one sent by the client', async () => {
+    const showtime = showtimeAt(WEEKDAY, { seatLayout: layout });
+
+    const quote = await pricingService.quote(showtime, null, [
+      { row: 'A', number: 1, type: 'standard' },
+      { row: 'A', number: 2, type: 'standard' }
+    ], []);
+
+    expect(quote.seats.map(seat => seat.type)).toEqual(['standard', 'vip']);
+    expect(quote.seatsTotal).toBe(170000);
+    expect(quote.totalAmount).toBe(170000);
+    expect(quote.dayType).toBe('weekday');
+  });
+
+  test('rejects seats that are not on the screen', async () => {
+    const showtime = showtimeAt(WEEKDAY, { seatLayout: layout });
+
+    await expect(pricingService.quote(showtime, null, [{ row: 'B', number: 1 }], []))
+      .rejects.toThrow('Seat B1 does not exist on this screen');
+  });
+});
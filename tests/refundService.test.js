@@ -0,0 +1,179 @@
+import { jest } from '@jest/globals';
+import Refund from '../models/Refund.model.js';
+import refundService from '../services/refundService.js';
+import paymentService from '../services/paymentService.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const showtimeIn = (hours) => ({ startTime: new Date(NOW.getTime() + hours * HOUR) });
+
+const policy = (fields = {}) => ({
+  name: 'Standard',
+  tiers: [
+    { minHoursBefore: 2, refundPercent: 50 },
+    { minHoursBefore: 24, refundPercent: 100 }
+  ],
+  minHoursToCancel: 2,
+  fee: { fixed: 0, percent: 0 },
+  refundCombos: true,
+  restoreUsedPoints: true,
+  revokeEarnedPoints: true,
+  ...fields
+});
+
+// Two tickets of 100,000 and 50,000 of combos, paid 200,000 after a discount
+const booking = (fields = {}) => ({
+  paymentStatus: 'completed',
+  totalAmount: 250000,
+  finalAmount: 200000,
+  seats: [
+    { _id: 't1', row: 'A', number: 1, price: 100000, status: 'active' },
+    { _id: 't2', row: 'A', number: 2, price: 100000, status: 'active' }
+  ],
+  ...fields
+});
+
+describe('refundService.calculate', () => {
+  test('refunds everything paid before the most generous tier', () => {
+    const result = refundService.calculate(booking(), showtimeIn(48), policy(), { now: NOW });
+
+    expect(result.refundPercent).toBe(100);
+    expect(result.paidAmount).toBe(200000);
+    expect(result.refundableAmount).toBe(200000);
+    expect(result.amount).toBe(200000);
+    expect(result.canSelfCancel).toBe(true);
+  });
+
+  test('picks the tier by the hours left before the showtime', () => {
+    const result = refundService.calculate(booking(), showtimeIn(10), policy(), { now: NOW });
+
+    expect(result.refundPercent).toBe(50);
+    expect(result.amount).toBe(100000);
+  });
+
+  test('refunds nothing and blocks self-cancellation past the last tier', () => {
+    const result = refundService.calculate(booking(), showtimeIn(1), policy(), { now: NOW });
+
+    expect(result.refundPercent).toBe(0);
+    expect(result.amount).toBe(0);
+    expect(result.canSelfCancel).toBe(false);
+  });
+
+  test('takes the fixed and percentage fee off the refund', () => {
+    const result = refundService.calculate(booking(), showtimeIn(48), policy({ fee: { fixed: 10000, percent: 10 } }), { now: NOW });
+
+    expect(result.fee).toBe(30000);
+    expect(result.amount).toBe(170000);
+  });
+
+  test('never charges a fee larger than the refund', () => {
+    const result = refundService.calculate(booking(), showtimeIn(48), policy({ fee: { fixed: 500000, percent: 0 } }), { now: NOW });
+
+    expect(result.fee).toBe(200000);
+    expect(result.amount).toBe(0);
+  });
+
+  test('keeps the combos when the policy does not refund them', () => {
+    const result = refundService.calculate(booking(), showtimeIn(48), policy({ refundCombos: false }), { now: NOW });
+
+    expect(result.refundableAmount).toBe(160000);
+    expect(result.amount).toBe(160000);
+  });
+
+  test('refunds only the paid share of the selected tickets', () => {
+    const target = booking();
+    const result = refundService.calculate(target, showtimeIn(48), policy(), { now: NOW, tickets: [target.seats[0]] });
+
+    expect(result.amount).toBe(80000);
+    expect(result.tickets).toEqual([{ ticketId: 't1', row: 'A', number: 1, amount: 80000 }]);
+  });
+
+  test('splits the refund over the tickets without losing the rounding', () => {
+    const target = booking({
+      totalAmount: 300000,
+      finalAmount: 300000,
+      seats: [1, 2, 3].map(number => ({ _id: `t${number}`, row: 'B', number, price: 100000, status: 'active' }))
+    });
+    const result = refundService.calculate(target, showtimeIn(48), policy({ fee: { fixed: 1000, percent: 0 } }), { now: NOW });
+
+    expect(result.amount).toBe(299000);
+    expect(result.tickets.reduce((sum, ticket) => sum + ticket.amount, 0)).toBe(299000);
+  });
+
+  test('leaves out tickets that were already used or refunded', () => {
+    const target = booking();
+    target.seats[1].status = 'refunded';
+    const result = refundService.calculate(target, showtimeIn(48), policy(), { now: NOW });
+
+    expect(result.tickets.map(ticket => ticket.ticketId)).toEqual(['t1']);
+    expect(result.amount).toBe(120000);
+  });
+
+  test('refunds an unpaid booking nothing', () => {
+    const result = refundService.calculate(booking({ paymentStatus: 'pending' }), showtimeIn(48), policy(), { now: NOW });
+
+    expect(result.paidAmount).toBe(0);
+    expect(result.amount).toBe(0);
+  });
+
+  test('refunds everything under the cancelled showtime policy, even after it started', () => {
+    const result = refundService.calculate(booking(), showtimeIn(-1), refundService.showtimeCancelledPolicy, { now: NOW });
+
+    expect(result.amount).toBe(200000);
+    expect(result.canSelfCancel).toBe(true);
+  });
+});
+
+describe('refundService.retryFailedRefunds', () => {
+  // A refund from cancelling one ticket: the booking itself stays confirmed
+  const failedRefund = () => ({
+    _id: 'r1',
+    bookingId: 'b1',
+    status: 'pending',
+    providerRefunds: [
+      { transactionId: 'pi_1', provider: 'stripe', amount: 40000, status: 'completed' },
+      { transactionId: 'pi_2', provider: 'stripe', amount: 60000, status: 'failed', error: 'card_declined' }
+    ],
+    save: jest.fn().mockResolvedValue()
+  });
+
+  const findFailed = (refunds) => jest.spyOn(Refund, 'find').mockReturnValue({
+    select: jest.fn().mockResolvedValue(refunds)
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends the failed provider refunds of a partial cancellation again', async () => {
+    const refund = failedRefund();
+    findFailed([{ _id: 'r1' }]);
+    const claim = jest.spyOn(Refund, 'findOneAndUpdate').mockResolvedValue(refund);
+    const send = jest.spyOn(paymentService, 'refund').mockResolvedValue({ refundId: 're_2' });
+
+    const [retried] = await refundService.retryFailedRefunds('b1');
+
+    expect(claim).toHaveBeenCalledWith({ _id: 'r1', status: 'failed' }, { $set: { status: 'pending' } }, { new: true });
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith('pi_2', 60000, 'stripe');
+    expect(retried.status).toBe('completed');
+    expect(retried.providerRefunds[1]).toMatchObject({ status: 'completed', refundId: 're_2' });
+    expect(refund.save).toHaveBeenCalled();
+  });
+
+  test('skips a refund another retry already claimed', async () => {
+    findFailed([{ _id: 'r1' }]);
+    jest.spyOn(Refund, 'findOneAndUpdate').mockResolvedValue(null);
+    const send = jest.spyOn(paymentService, 'refund');
+
+    await expect(refundService.retryFailedRefunds('b1')).resolves.toEqual([]);
+    expect(send).not.toHaveBeenCalled();
+  });
+
+  test('rejects a booking without failed refunds', async () => {
+    findFailed([]);
+
+    await expect(refundService.retryFailedRefunds('b1')).rejects.toThrow('Booking has no failed refund to retry');
+  });
+});
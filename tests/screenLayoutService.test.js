@@ -0,0 +1,59 @@
+import screenLayoutService from '../services/screenLayoutService.js';
+
+describe('screenLayoutService.parseRows', () => {
+  test('numbers seats by position so aisles skip a number', () => {
+    const { layout, counts } = screenLayoutService.parseRows(['A: SS_VV', 'b: CC']);
+
+    expect(layout[0]).toEqual([
+      { row: 'A', number: 1, type: 'standard', status: 'available' },
+      { row: 'A', number: 2, type: 'standard', status: 'available' },
+      { row: 'A', number: 4, type: 'vip', status: 'available' },
+      { row: 'A', number: 5, type: 'vip', status: 'available' }
+    ]);
+    expect(layout[1].map(seat => `${seat.row}${seat.number}`)).toEqual(['B1', 'B2']);
+    expect(counts).toEqual({ total: 6, standard: 2, vip: 2, couple: 2 });
+  });
+
+  test('accepts one string with a row per line and skips blank lines', () => {
+    const { layout } = screenLayoutService.parseRows('A: SSS\n\n  B : vvv  \n');
+
+    expect(layout).toHaveLength(2);
+    expect(layout[1][0]).toMatchObject({ row: 'B', type: 'vip' });
+  });
+
+  test('round-trips through formatRows', () => {
+    const rows = ['A: SSSS_VVVV_SSSS', 'B: CC__CC'];
+
+    expect(screenLayoutService.formatRows(screenLayoutService.parseRows(rows).layout)).toEqual(rows);
+  });
+
+  test('requires at least one row', () => {
+    expect(() => screenLayoutService.parseRows('  \n ')).toThrow('Please provide at least one seat row');
+  });
+
+  test('rejects lines that are not row strings', () => {
+    expect(() => screenLayoutService.parseRows(['A SSSS'])).toThrow('Line 1 must look like "A: SSSS_VVVV_SSSS"');
+    expect(() => screenLayoutService.parseRows(['A: SSXS'])).toThrow('Line 1');
+  });
+
+  test('reports every problem of the layout at once', () => {
+    let error;
+    try {
+      screenLayoutService.parseRows(['A: SS', 'A: ___', 'B: CCC']);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error.statusCode).toBe(400);
+    expect(error.message).toBe(
+      'Row A appears more than once; Row A has no seats; Row B has an odd number of couple seats in a block'
+    );
+  });
+
+  test('limits the number of rows and their length', () => {
+    const tooMany = Array.from({ length: 41 }, (_, index) => `${String.fromCharCode(65 + (index % 26))}${index >= 26 ? 'A' : ''}: S`);
+
+    expect(() => screenLayoutService.parseRows(tooMany)).toThrow('A screen can have at most 40 rows');
+    expect(() => screenLayoutService.parseRows([`A: ${'S'.repeat(61)}`])).toThrow('Row A is longer than 60 positions');
+  });
+});
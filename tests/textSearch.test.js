@@ -0,0 +1,57 @@
+import { normalizeText, tokenize, editDistance, matchWord } from '../utils/textSearch.js';
+
+describe('normalizeText and tokenize', () => {
+  test('strip Vietnamese diacritics, case and punctuation', () => {
+    expect(normalizeText('Đất Rừng Phương Nam!')).toBe('dat rung phuong nam');
+    expect(tokenize('  Nhà Bà Nữ ')).toEqual(['nha', 'ba', 'nu']);
+  });
+
+  test('give nothing for empty or symbol-only input', () => {
+    expect(normalizeText(null)).toBe('');
+    expect(tokenize('!!! ...')).toEqual([]);
+  });
+});
+
+describe('editDistance', () => {
+  test('counts insertions, deletions and substitutions', () => {
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('', 'abc')).toBe(3);
+    expect(editDistance('same', 'same')).toBe(0);
+  });
+
+  test('counts swapping two neighbouring letters as one typo', () => {
+    expect(editDistance('abcd', 'abdc')).toBe(1);
+    expect(editDistance('avtaar', 'avatar')).toBe(1);
+  });
+
+  test('gives up with max + 1 once the distance is certain to exceed max', () => {
+    expect(editDistance('abcdef', 'uvwxyz', 1)).toBe(2);
+    expect(editDistance('ab', 'abcdef', 2)).toBe(3);
+  });
+});
+
+describe('matchWord', () => {
+  test('ranks exact words above typeahead prefixes', () => {
+    expect(matchWord('mai', 'mai')).toBe(1);
+    expect(matchWord('ma', 'mai')).toBe(0.9);
+  });
+
+  test('tolerates no typo in words of up to three letters', () => {
+    expect(matchWord('mia', 'mai')).toBe(0);
+  });
+
+  test('tolerates typos by word length', () => {
+    expect(matchWord('avatr', 'avatar')).toBeCloseTo(0.7);
+    expect(matchWord('avtaar', 'avatar')).toBeCloseTo(0.7);
+    expect(matchWord('interstelar', 'interstellar')).toBeCloseTo(0.7);
+    expect(matchWord('avtr', 'avatar')).toBe(0);
+  });
+
+  test('matches a typo in a word that is still being typed', () => {
+    expect(matchWord('doare', 'doraemon')).toBeCloseTo(0.5);
+  });
+
+  test('does not match unrelated words', () => {
+    expect(matchWord('xyzw', 'avatar')).toBe(0);
+  });
+});
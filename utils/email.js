@@ -82,3 +82,78 @@ export const sendPasswordReset = async (user, resetToken) => {
     html
   });
 };
+
+export const sendWaitlistOffer = async (user, showtime, offer) => {
+  const seats = offer.seats.map(s => `${s.row}${s.number}`).join(', ');
+  const bookingUrl = `${process.env.FRONTEND_URL}/booking/${showtime._id}?holdId=${offer.holdId}`;
+  const startTime = new Date(showtime.startTime).toLocaleString('vi-VN');
+  const expiresAt = new Date(offer.expiresAt).toLocaleTimeString('vi-VN');
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #e50914;">Đã Có Ghế Trống Cho Bạn</h2>
+      <p>Xin chào ${user.fullName},</p>
+      <p>Suất chiếu bạn đăng ký chờ vừa có ghế trống. Chúng tôi đang giữ ghế cho bạn:</p>
+      
+      <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Suất chiếu:</strong> ${startTime}</p>
+        <p><strong>Ghế:</strong> ${seats}</p>
+        <p><strong>Giữ ghế đến:</strong> ${expiresAt}</p>
+      </div>
+      
+      <div style="text-align: center; margin: 30px 0;">
+        <a href="${bookingUrl}" style="background: #e50914; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+          Đặt Vé Ngay
+        </a>
+      </div>
+      
+      <p>Sau thời gian trên, ghế sẽ được chuyển cho người tiếp theo trong danh sách chờ.</p>
+      <p>Trân trọng,<br>Cinema Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail({
+    email: user.email,
+    subject: 'Ghế trống từ danh sách chờ',
+    html
+  });
+};
+
+export const sendShowtimeCancellation = async (user, { booking, showtime, movie, cinema, reason, refund, alternatives }) => {
+  const startTime = new Date(showtime.startTime).toLocaleString('vi-VN');
+  const refundText = refund && refund.amount > 0
+    ? refund.method === 'online'
+      ? `${refund.amount.toLocaleString('vi-VN')} VNĐ sẽ được hoàn về phương thức thanh toán ban đầu.`
+      : `${refund.amount.toLocaleString('vi-VN')} VNĐ, vui lòng đến quầy để nhận lại tiền.`
+    : 'Đơn đặt vé chưa được thanh toán nên không phát sinh hoàn tiền.';
+  const alternativeList = alternatives.length > 0
+    ? `
+      <p>Các suất chiếu khác của phim tại rạp:</p>
+      <ul>
+        ${alternatives.map(a => `<li><a href="${process.env.FRONTEND_URL}/booking/${a._id}">${new Date(a.startTime).toLocaleString('vi-VN')}</a></li>`).join('')}
+      </ul>`
+    : '';
+
+  const html = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+      <h2 style="color: #e50914;">Suất Chiếu Đã Bị Hủy</h2>
+      <p>Xin chào ${user.fullName},</p>
+      <p>Rất tiếc, suất chiếu <strong>${movie.title}</strong> lúc ${startTime} tại ${cinema.name} đã bị hủy.</p>
+      
+      <div style="background: #f5f5f5; padding: 20px; border-radius: 8px; margin: 20px 0;">
+        <p><strong>Mã đặt vé:</strong> ${booking.bookingCode}</p>
+        <p><strong>Lý do:</strong> ${reason}</p>
+        <p><strong>Hoàn tiền:</strong> ${refundText}</p>
+      </div>
+      ${alternativeList}
+      <p>Chúng tôi xin lỗi vì sự bất tiện này.</p>
+      <p>Trân trọng,<br>Cinema Management Team</p>
+    </div>
+  `;
+
+  return await sendEmail({
+    email: user.email,
+    subject: 'Thông báo hủy suất chiếu',
+    html
+  });
+};
@@ -0,0 +1,91 @@
+// ESC/POS command builder for thermal receipt printers.
+// Text is sent as plain ASCII; most counter printers have no Vietnamese code page.
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+// Characters per line in the default font
+export const LINE_WIDTH = {
+  '58mm': 32,
+  '80mm': 48
+};
+
+export class EscPosBuilder {
+  constructor({ paper = '80mm' } = {}) {
+    this.lineWidth = LINE_WIDTH[paper] || LINE_WIDTH['80mm'];
+    this.chunks = [];
+    this.init();
+  }
+
+  raw(bytes) {
+    this.chunks.push(Buffer.from(bytes));
+    return this;
+  }
+
+  init() {
+    return this.raw([ESC, 0x40]);
+  }
+
+  align(alignment) {
+    return this.raw([ESC, 0x61, ALIGNMENTS[alignment] || 0]);
+  }
+
+  bold(on = true) {
+    return this.raw([ESC, 0x45, on ? 1 : 0]);
+  }
+
+  // Character size multiplier, 1 to 8 in each direction
+  size(width = 1, height = width) {
+    return this.raw([GS, 0x21, ((width - 1) << 4) | (height - 1)]);
+  }
+
+  text(text = '') {
+    this.chunks.push(Buffer.from(String(text), 'ascii'));
+    return this.raw([LF]);
+  }
+
+  // Label on the left, value on the right of the same line
+  row(label, value) {
+    const left = String(label);
+    const right = String(value);
+    const gap = Math.max(1, this.lineWidth - left.length - right.length);
+    return this.text(left + ' '.repeat(gap) + right);
+  }
+
+  separator(char = '-') {
+    return this.text(char.repeat(this.lineWidth));
+  }
+
+  feed(lines = 1) {
+    return this.raw([ESC, 0x64, lines]);
+  }
+
+  /**
+   * Print a QR code with the printer's native QR support (GS ( k)
+   * @param {String} data - Content of the QR code
+   * @param {Number} moduleSize - Dot size of one module, 1 to 16
+   */
+  qr(data, moduleSize = 6) {
+    const payload = Buffer.from(String(data), 'ascii');
+    const storeLength = payload.length + 3;
+
+    this.raw([GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00]); // Model 2
+    this.raw([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, moduleSize]);
+    this.raw([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31]); // Error correction M
+    this.raw([GS, 0x28, 0x6b, storeLength & 0xff, storeLength >> 8, 0x31, 0x50, 0x30]);
+    this.chunks.push(payload);
+    return this.raw([GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30]);
+  }
+
+  // Feed past the cutter and make a partial cut
+  cut() {
+    return this.raw([GS, 0x56, 0x42, 0x00]);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
@@ -0,0 +1,117 @@
+// Minimal PDF writer for server-rendered documents such as tickets.
+// Supports text in the built-in Helvetica fonts, filled rectangles and lines,
+// which is all a ticket needs. Text must be plain ASCII: the built-in fonts
+// cannot draw Vietnamese diacritics.
+
+const escapeText = (text) => String(text).replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)');
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Page sizes in points (1/72 inch)
+export const PAGE_SIZES = {
+  A4: { width: 595.28, height: 841.89 },
+  A6: { width: 297.64, height: 419.53 }
+};
+
+export class PdfDocument {
+  constructor(size = PAGE_SIZES.A4) {
+    this.width = size.width;
+    this.height = size.height;
+    this.pages = [];
+  }
+
+  addPage() {
+    this.page = [];
+    this.pages.push(this.page);
+    return this;
+  }
+
+  // Rough Helvetica width, good enough to center short lines
+  textWidth(text, size) {
+    return String(text).length * size * 0.5;
+  }
+
+  // Coordinates are measured from the top-left corner, y is the text baseline
+  text(x, y, text, { size = 10, bold = false, align = 'left' } = {}) {
+    let left = x;
+    if (align === 'center') left = (this.width - this.textWidth(text, size)) / 2;
+    if (align === 'right') left = x - this.textWidth(text, size);
+
+    const font = bold ? 'F2' : 'F1';
+    this.page.push(`BT /${font} ${size} Tf ${round(left)} ${round(this.height - y)} Td (${escapeText(text)}) Tj ET`);
+    return this;
+  }
+
+  rect(x, y, width, height) {
+    this.page.push(`${round(x)} ${round(this.height - y - height)} ${round(width)} ${round(height)} re f`);
+    return this;
+  }
+
+  line(x1, y1, x2, y2, { width = 0.5, dash } = {}) {
+    const dashPattern = dash ? `[${dash} ${dash}] 0 d` : '[] 0 d';
+    this.page.push(`${width} w ${dashPattern} ${round(x1)} ${round(this.height - y1)} m ${round(x2)} ${round(this.height - y2)} l S`);
+    return this;
+  }
+
+  /**
+   * Draw a QR code from a module matrix (see qrcode's QRCode.create)
+   * @param {Object} modules - { size, get(row, col) }
+   */
+  qr(x, y, modules, width) {
+    const cell = width / modules.size;
+    for (let row = 0; row < modules.size; row++) {
+      // One rectangle per run of dark modules keeps the file small
+      let runStart = -1;
+      for (let col = 0; col <= modules.size; col++) {
+        const dark = col < modules.size && modules.get(row, col);
+        if (dark && runStart < 0) runStart = col;
+        if (!dark && runStart >= 0) {
+          this.rect(x + runStart * cell, y + row * cell, (col - runStart) * cell, cell);
+          runStart = -1;
+        }
+      }
+    }
+    return this;
+  }
+
+  toBuffer() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = addObject(null);
+    const pagesId = addObject(null);
+    const regularFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFontId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+    const pageIds = this.pages.map(commands => {
+      const content = commands.join('\n');
+      const contentId = addObject(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+      return addObject(
+        `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${this.width} ${this.height}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`
+      );
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    offsets.forEach(offset => {
+      output += `${String(offset).padStart(10, '0')} 00000 n \n`;
+    });
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
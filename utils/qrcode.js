@@ -1,9 +1,11 @@
 import QRCode from 'qrcode';
 import { logger } from './logger.js';
+import { signTicketToken } from './ticketToken.js';
 
 export const generateQRCode = async (data) => {
   try {
-    const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(data), {
+    const content = typeof data === 'string' ? data : JSON.stringify(data);
+    const qrCodeDataURL = await QRCode.toDataURL(content, {
       errorCorrectionLevel: 'M',
       type: 'image/png',
       quality: 0.95,
@@ -20,14 +22,11 @@ export const generateQRCode = async (data) => {
   }
 };
 
+// The QR holds a signed token, so a forged or edited code is rejected at the door
 export const generateBookingQR = async (booking) => {
-  const qrData = {
-    bookingCode: booking.bookingCode,
-    userId: booking.userId,
-    showtimeId: booking.showtimeId,
-    seats: booking.seats,
-    timestamp: Date.now()
-  };
-  
-  return await generateQRCode(qrData);
+  return await generateQRCode(signTicketToken(booking));
+};
+
+export const generateTicketQR = async (booking, ticket) => {
+  return await generateQRCode(signTicketToken(booking, ticket));
 };
@@ -0,0 +1,76 @@
+// Text helpers for accent-insensitive search. Vietnamese is typed with and
+// without diacritics ("Nhà Bà Nữ" / "nha ba nu"), so both sides of a match
+// are compared in their plain ASCII form.
+
+// "Đất Rừng Phương Nam!" -> "dat rung phuong nam"
+export const normalizeText = (value) => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/đ/g, 'd')
+  .replace(/Đ/g, 'D')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, ' ')
+  .trim();
+
+export const tokenize = (value) => {
+  const text = normalizeText(value);
+  return text ? text.split(' ') : [];
+};
+
+// Edit distance where swapping two neighbouring letters counts as one typo
+// (optimal string alignment), giving up once it is certain to exceed max
+export const editDistance = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let beforePrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos tolerated for a query word: none for short words, then one, then two
+export const allowedTypos = (word) => {
+  if (word.length <= 3) return 0;
+  if (word.length <= 6) return 1;
+  return 2;
+};
+
+/**
+ * How well a query word matches a word of the text, from 0 to 1:
+ * exact, then typeahead prefix, then within the allowed typos
+ */
+export const matchWord = (queryWord, word) => {
+  if (word === queryWord) return 1;
+  if (word.startsWith(queryWord)) return 0.9;
+
+  const max = allowedTypos(queryWord);
+  if (max === 0) return 0;
+
+  const distance = editDistance(queryWord, word, max);
+  if (distance <= max) return 0.8 - 0.1 * distance;
+
+  // Typo inside a word that is still being typed: a missed or extra letter
+  // shifts the prefix length, so compare with prefixes around the same length
+  let prefixDistance = max + 1;
+  for (let length = queryWord.length - max; length <= queryWord.length + max; length++) {
+    if (length < 1 || length >= word.length) continue;
+    prefixDistance = Math.min(prefixDistance, editDistance(queryWord, word.slice(0, length), max));
+  }
+  if (prefixDistance <= max) return 0.6 - 0.1 * prefixDistance;
+
+  return 0;
+};
@@ -0,0 +1,69 @@
+import jwt from 'jsonwebtoken';
+
+// Ticket QR codes carry a signed token so door staff can trust them.
+// Each token names its key id (kid), so signing keys can be rotated
+// without invalidating tickets that were already issued.
+const ALGORITHM = 'HS256';
+const ISSUER = 'cinema-tickets';
+
+// TICKET_SIGNING_KEYS="kid1:secret1,kid2:secret2", falling back to a key derived from JWT_SECRET
+const getSigningKeys = () => {
+  const configured = (process.env.TICKET_SIGNING_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const index = entry.indexOf(':');
+      return [entry.slice(0, index), entry.slice(index + 1)];
+    })
+    .filter(([kid, secret]) => kid && secret);
+
+  if (configured.length > 0) return new Map(configured);
+  // Never sign with a guessable "undefined:tickets" key
+  if (!process.env.JWT_SECRET) {
+    throw new Error('TICKET_SIGNING_KEYS or JWT_SECRET must be set to sign ticket QR codes');
+  }
+  return new Map([['default', `${process.env.JWT_SECRET}:tickets`]]);
+};
+
+// Called at startup, once .env is loaded, so a missing key stops the server
+export const assertTicketSigningKeys = () => {
+  getSigningKeys();
+};
+
+// Without a ticket the token admits the whole booking, with one it admits that seat only
+export const signTicketToken = (booking, ticket) => {
+  const keys = getSigningKeys();
+  const kid = keys.has(process.env.TICKET_SIGNING_KID)
+    ? process.env.TICKET_SIGNING_KID
+    : keys.keys().next().value;
+
+  const payload = {
+    bid: String(booking._id),
+    code: booking.bookingCode,
+    sid: String(booking.showtimeId),
+    cid: String(booking.cinemaId)
+  };
+  if (ticket) payload.tid = String(ticket._id);
+
+  return jwt.sign(payload, keys.get(kid), {
+    algorithm: ALGORITHM,
+    issuer: ISSUER,
+    keyid: kid
+  });
+};
+
+// Returns the payload, or null when the token is forged, unreadable or signed with an unknown key
+export const verifyTicketToken = (token) => {
+  const decoded = jwt.decode(String(token || ''), { complete: true });
+  if (!decoded || !decoded.header) return null;
+
+  const secret = getSigningKeys().get(decoded.header.kid);
+  if (!secret) return null;
+
+  try {
+    return jwt.verify(token, secret, { algorithms: [ALGORITHM], issuer: ISSUER });
+  } catch (error) {
+    return null;
+  }
+};
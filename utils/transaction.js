@@ -0,0 +1,20 @@
+import mongoose from 'mongoose';
+
+/**
+ * Run a unit of work inside a MongoDB transaction.
+ * The callback receives the session and must pass it to every read/write
+ * so that a failure anywhere rolls back all of them.
+ * Requires a replica set (MongoDB Atlas is one by default).
+ */
+export const withTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};